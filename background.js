@@ -0,0 +1,209 @@
+/**
+ * Konzum Unit Price Sorter - Background service worker
+ * Checks the pages of watched products now and then and notifies about
+ * price drops and promotions. Everything runs in the browser; the only
+ * requests go to konzum.hr. Runs as a service worker in Chrome and as a
+ * background page in Safari and Firefox, see manifest.json.
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  if (typeof importScripts === 'function' && !globalThis.KonzumSorterWatchlist) {
+    importScripts('settings.js', 'product.js', 'watchlist.js');
+  }
+
+  const { loadWatchlist, updateWatch } = globalThis.KonzumSorterSettings;
+  const { parseProductPage } = globalThis.KonzumSorterProduct;
+  const { REQUEST_GAP, getDueWatches, evaluateWatch } = globalThis.KonzumSorterWatchlist;
+
+  const browserApi = globalThis.browser || globalThis.chrome;
+
+  const ALARM_NAME = 'konzum-watchlist';
+
+  // How often the worker wakes up to look for watched products due for a check
+  const ALARM_PERIOD_MINUTES = 30;
+
+  // Give up on a product page after this long, in ms
+  const FETCH_TIMEOUT = 15000;
+
+  // Notification ids are "watch|<alert type>|<product key>"
+  const NOTIFICATION_PREFIX = 'watch|';
+
+  // Run in progress, so overlapping alarms don't fetch the same pages twice
+  let checking = null;
+
+  // Offscreen document used to parse pages where the worker has no DOMParser
+  let offscreenPromise = null;
+
+  /**
+   * Wait for a given time
+   * @param {number} ms - Time to wait
+   * @returns {Promise<void>}
+   */
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Open the offscreen document that parses product pages, once
+   * @returns {Promise<void>} Resolves once the document is ready
+   */
+  function ensureOffscreenDocument() {
+    if (!offscreenPromise) {
+      offscreenPromise = browserApi.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['DOM_PARSER'],
+        justification: 'Read prices of watched products from their product pages'
+      }).catch(error => {
+        // Left open by an earlier run of the worker
+        if (/single offscreen/i.test(error.message)) return;
+        offscreenPromise = null;
+        throw error;
+      });
+    }
+    return offscreenPromise;
+  }
+
+  /**
+   * Parse the HTML of a product page into a product record
+   * @param {string} html - Page HTML
+   * @param {string} url - URL of the page
+   * @returns {Promise<Object|null>} Product record, or null if the page shows no product
+   * @throws {Error} If there's no way to parse HTML here, so no page can be checked
+   */
+  async function parseProduct(html, url) {
+    if (typeof DOMParser === 'function') {
+      return parseProductPage(new DOMParser().parseFromString(html, 'text/html'), url);
+    }
+    if (browserApi.offscreen) {
+      await ensureOffscreenDocument();
+      return browserApi.runtime.sendMessage({ type: 'parseProductPage', html: html, url: url });
+    }
+    throw new Error('No DOMParser or offscreen document to read product pages with');
+  }
+
+  /**
+   * Fetch and parse the page of a watched product
+   * @param {Object} entry - Watch entry
+   * @returns {Promise<Object|null>} Product record, or null if the page couldn't be loaded or read
+   * @throws {Error} If product pages can't be parsed here, see parseProduct
+   */
+  async function fetchProduct(entry) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    let html;
+    try {
+      const response = await fetch(entry.url, { signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      html = await response.text();
+    } catch (error) {
+      console.warn('[Konzum Sorter] Could not check watched product:', entry.url, error);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const product = await parseProduct(html, entry.url);
+    if (!product) console.warn('[Konzum Sorter] No product found on the page of a watched product:', entry.url);
+    return product;
+  }
+
+  /**
+   * Tell the user about an alert of a watched product
+   * Where there's no notifications API (Safari), the toolbar button shows a
+   * badge and the alert as its title instead.
+   * @param {Object} entry - Watch entry
+   * @param {{type: string, message: string}} alert - Alert from evaluateWatch
+   */
+  function notify(entry, alert) {
+    const title = entry.name || 'Praćeni proizvod';
+
+    if (browserApi.notifications) {
+      browserApi.notifications.create(`${NOTIFICATION_PREFIX}${alert.type}|${entry.key}`, {
+        type: 'basic',
+        iconUrl: 'konzum.png',
+        title: title,
+        message: alert.message
+      });
+    } else if (browserApi.action) {
+      browserApi.action.setBadgeText({ text: '!' });
+      browserApi.action.setTitle({ title: `${title}: ${alert.message}` });
+    }
+  }
+
+  /**
+   * Tell the user that watched products couldn't be checked at all
+   * The toolbar button shows a badge until the popup is opened; the error goes to the console.
+   * @param {Error} error - Why the check failed
+   */
+  function reportCheckFailure(error) {
+    console.warn('[Konzum Sorter] Watchlist check failed:', error);
+    if (!browserApi.action) return;
+    browserApi.action.setBadgeText({ text: '!' });
+    browserApi.action.setTitle({ title: 'Provjera praćenih proizvoda nije uspjela' });
+  }
+
+  /**
+   * Check the watched products that are due, one page at a time
+   * A product is only marked as checked once its page was fetched and parsed, or
+   * couldn't be loaded; if pages can't be parsed here at all, the run stops.
+   * @returns {Promise<void>} Resolves once all due products are checked
+   */
+  async function checkWatchlist() {
+    const due = getDueWatches(await loadWatchlist());
+
+    for (let i = 0; i < due.length; i++) {
+      if (i > 0) await delay(REQUEST_GAP);
+
+      const entry = due[i];
+      const { entry: checked, alerts } = evaluateWatch(entry, await fetchProduct(entry));
+
+      // Only the prices: the target may have been changed in a tab meanwhile
+      await updateWatch(entry.key, { name: checked.name, last: checked.last, checkedAt: checked.checkedAt });
+      alerts.forEach(alert => notify(checked, alert));
+    }
+  }
+
+  /**
+   * Start a check unless one is already running
+   * @returns {Promise<void>} Resolves once the check is done
+   */
+  function runCheck() {
+    if (!checking) {
+      checking = checkWatchlist()
+        .catch(reportCheckFailure)
+        .finally(() => { checking = null; });
+    }
+    return checking;
+  }
+
+  /**
+   * Schedule the periodic check; creating the alarm again replaces it
+   */
+  function scheduleChecks() {
+    browserApi.alarms.create(ALARM_NAME, { delayInMinutes: 1, periodInMinutes: ALARM_PERIOD_MINUTES });
+  }
+
+  browserApi.runtime.onInstalled.addListener(scheduleChecks);
+  browserApi.runtime.onStartup.addListener(scheduleChecks);
+
+  browserApi.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === ALARM_NAME) runCheck();
+  });
+
+  if (browserApi.notifications) {
+    browserApi.notifications.onClicked.addListener(notificationId => {
+      if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+      const key = notificationId.split('|').slice(2).join('|');
+      loadWatchlist().then(watchlist => {
+        if (watchlist[key]) browserApi.tabs.create({ url: watchlist[key].url });
+        browserApi.notifications.clear(notificationId);
+      });
+    });
+  }
+})();
@@ -0,0 +1,205 @@
+/**
+ * Konzum Unit Price Sorter - Basket optimizer
+ * Finds products that are cheaper per unit than the lines in the cart
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  // Words of a product name used to search for substitutes; more words find fewer products
+  const QUERY_WORDS = 3;
+
+  // Substitutes suggested per cart line
+  const SUBSTITUTE_LIMIT = 3;
+
+  /**
+   * Lowercase a text and strip its accents, so "Mlijeko" matches "mlijeko" and "Čokolada" matches "cokolada"
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  function normalizeText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Find the percentages in a product name, e.g. milk fat "2,8%"
+   * Products with different percentages are different products, not substitutes.
+   * @param {string} name - Product name
+   * @returns {Array<string>} Percentages with a dot as decimal separator, e.g. ["2.8"]
+   */
+  function getPercentages(name) {
+    return Array.from(name.matchAll(/(\d+(?:[.,]\d+)?)\s*%/g), match => match[1].replace(',', '.'));
+  }
+
+  /**
+   * Get the words that describe what a product is, without its brand and package size
+   * Konzum names usually start with the brand ("Dukat trajno mlijeko 1 l"), so
+   * without a known brand the first word is left out, as long as another one remains.
+   * @param {{name: string, brand: (string|null)}} product - Product record
+   * @returns {Array<string>} Normalized words, in name order
+   */
+  function getDescriptiveWords(product) {
+    const brandWords = product.brand ? normalizeText(product.brand).split(/[^a-z0-9đ]+/) : [];
+    const words = normalizeText(product.name || '')
+      .split(/\s+/)
+      .map(word => word.replace(/^[^a-z0-9đ]+|[^a-z0-9đ.]+$/g, ''))
+      // Sizes, percentages and abbreviations like "m.m." or "n.5" say nothing about the kind of product
+      .filter(word => /^[a-zđ-]{3,}$/.test(word))
+      .filter(word => !brandWords.includes(word));
+
+    return !product.brand && words.length > 1 ? words.slice(1) : words;
+  }
+
+  /**
+   * Build the search query for substitutes of a product
+   * @param {{name: string, brand: (string|null)}} product - Product record
+   * @returns {string} Query, empty if the name has no usable words
+   */
+  function buildSearchQuery(product) {
+    return getDescriptiveWords(product).slice(0, QUERY_WORDS).join(' ');
+  }
+
+  /**
+   * Build the URL of Konzum's search results for a query
+   * @param {string} query - Search query
+   * @param {string} pageUrl - URL of the current page, for the origin
+   * @returns {string} Same-origin search URL
+   */
+  function getSearchUrl(query, pageUrl) {
+    const url = new URL('/web/search', pageUrl);
+    url.searchParams.set('q', query);
+    return url.href;
+  }
+
+  /**
+   * Read the quantity of a cart line from its quantity field
+   * @param {HTMLElement} card - Cart line element
+   * @returns {number} Quantity in the cart, 1 if the line has no readable quantity field
+   */
+  function readCartQuantity(card) {
+    const field = card.querySelector('select[name*="quantity" i], input[name*="quantity" i], input[type="number"]');
+    const value = field ? parseFloat(String(field.value).replace(',', '.')) : NaN;
+    return value > 0 ? value : 1;
+  }
+
+  /**
+   * Get the unit price of one pack of a cart line
+   * Cart rows show the total for the chosen quantity, so a unit price computed
+   * from the row's price, rather than read from "Cijena za j.m.", is divided by it.
+   * @param {Object} product - Product record of the cart line
+   * @param {number} quantity - Quantity in the cart, see readCartQuantity
+   * @returns {{value: number, unit: string, computed: (boolean|undefined)}|null} Unit price, null if unknown
+   */
+  function getLineUnitPrice(product, quantity) {
+    const { unitPrice } = product;
+    if (!unitPrice || !unitPrice.computed) return unitPrice;
+    return { ...unitPrice, value: Math.round((unitPrice.value / quantity) * 10000) / 10000 };
+  }
+
+  /**
+   * Check if a product can replace a cart line: the same kind of product, in
+   * the same unit, and not the same product
+   * @param {Object} line - Product record of the cart line
+   * @param {Object} candidate - Product record from the search results
+   * @param {Array<string>} words - Descriptive words of the cart line
+   * @returns {boolean} True if the candidate is comparable
+   */
+  function isComparable(line, candidate, words) {
+    if (!candidate.unitPrice || candidate.unitPrice.unit !== line.unitPrice.unit) return false;
+    if (candidate.available === false) return false;
+    if ((line.id && candidate.id === line.id) || (line.url && candidate.url === line.url)) return false;
+
+    const name = normalizeText(candidate.name || '');
+    if (!words.every(word => name.includes(word))) return false;
+
+    const percentages = getPercentages(candidate.name || '');
+    return getPercentages(line.name || '').every(percentage => percentages.includes(percentage));
+  }
+
+  /**
+   * @typedef {Object} Substitute
+   * @property {Object} product - Product record of the substitute
+   * @property {number} percentCheaper - How much cheaper per unit, in percent
+   * @property {number|null} saving - Estimated saving in € for the line's amount, null if the package size is unknown
+   */
+
+  /**
+   * Find products that are cheaper per unit than a cart line
+   * The saving assumes the same total amount is bought, e.g. 2 × 1 l of the
+   * cart line replaced by 2 l of the substitute in whatever packs it comes in.
+   * @param {{product: Object, quantity: number}} line - Cart line
+   * @param {Array<Object>} candidates - Product records from the search results
+   * @param {number} [limit=SUBSTITUTE_LIMIT] - Most substitutes to return
+   * @returns {Array<Substitute>} Substitutes, cheapest per unit first
+   */
+  function findSubstitutes(line, candidates, limit = SUBSTITUTE_LIMIT) {
+    const { product, quantity } = line;
+    if (!product.unitPrice) return [];
+
+    const words = getDescriptiveWords(product).slice(0, QUERY_WORDS);
+    const amount = product.size && product.size.unit === product.unitPrice.unit ? product.size.value * quantity : null;
+    const seen = new Set();
+
+    return candidates
+      .filter(candidate => candidate.unitPrice && candidate.unitPrice.value < product.unitPrice.value)
+      .filter(candidate => isComparable(product, candidate, words))
+      .sort((a, b) => a.unitPrice.value - b.unitPrice.value)
+      .filter(candidate => {
+        const key = candidate.url || candidate.name;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map(candidate => {
+        const difference = product.unitPrice.value - candidate.unitPrice.value;
+        return {
+          product: candidate,
+          percentCheaper: Math.round((difference / product.unitPrice.value) * 100),
+          saving: amount !== null ? Math.round(difference * amount * 100) / 100 : null
+        };
+      });
+  }
+
+  /**
+   * Add up the savings of the best substitute of every cart line
+   * @param {Array<{substitutes: Array<Substitute>}>} lines - Cart lines with their substitutes
+   * @returns {{lines: number, improvable: number, saving: number, unknown: number}}
+   *   Lines checked, lines with a cheaper substitute, total saving in € and lines whose saving can't be estimated
+   */
+  function summarizeBasket(lines) {
+    let saving = 0;
+    let improvable = 0;
+    let unknown = 0;
+
+    lines.forEach(line => {
+      const best = line.substitutes[0];
+      if (!best) return;
+      improvable++;
+      if (best.saving === null) {
+        unknown++;
+      } else {
+        saving += best.saving;
+      }
+    });
+
+    return { lines: lines.length, improvable: improvable, saving: Math.round(saving * 100) / 100, unknown: unknown };
+  }
+
+  const api = {
+    normalizeText: normalizeText,
+    getDescriptiveWords: getDescriptiveWords,
+    buildSearchQuery: buildSearchQuery,
+    getSearchUrl: getSearchUrl,
+    readCartQuantity: readCartQuantity,
+    getLineUnitPrice: getLineUnitPrice,
+    isComparable: isComparable,
+    findSubstitutes: findSubstitutes,
+    summarizeBasket: summarizeBasket
+  };
+
+  globalThis.KonzumSorterBasket = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
@@ -8,323 +8,921 @@
 (function() {
   'use strict';
 
-  const DEBUG = false; // Set to true to enable console logs for debugging
+  const {
+    DEFAULT_SETTINGS,
+    loadSettings,
+    saveSettings,
+    onSettingsChanged,
+    loadSavedSort,
+    saveSavedSort,
+    loadProductCache,
+    saveProductCache,
+    loadScrollPosition,
+    saveScrollPosition,
+    loadWatchlist,
+    saveWatch,
+    updateWatch,
+    onWatchlistChanged
+  } = globalThis.KonzumSorterSettings;
+
+  const {
+    parseProductCard,
+    formatUnit,
+    normalizeQuantity,
+    getPacksForAmount,
+    isOnSale
+  } = globalThis.KonzumSorterProduct;
+
+  const {
+    findSortingDropdown,
+    findListContainer,
+    getLayoutCards,
+    getProductCards,
+    detectPagination,
+    getCurrentPageNumber
+  } = globalThis.KonzumSorterListing;
+
+  const { PAGE_TYPES, GENERIC_LISTING, detectPageType } = globalThis.KonzumSorterPageTypes;
+
+  const {
+    SORT_KEYS,
+    nameCollator,
+    compareProducts,
+    describeSortSpec,
+    buildSortSpec,
+    summarizeUnitGroups,
+    rankByUnitPrice,
+    summarizeUnitPrices
+  } = globalThis.KonzumSorterSorting;
+
+  const { createSortEngine } = globalThis.KonzumSorterEngine;
+
+  const { snapshotListing } = globalThis.KonzumSorterSnapshot;
+
+  const { createListRenderer } = globalThis.KonzumSorterRenderer;
+
+  const {
+    LOWEST_PRICE_DAYS,
+    getHistoryKey,
+    summarizeHistory,
+    buildSparklinePath,
+    openPriceHistory
+  } = globalThis.KonzumSorterHistory;
+
+  const {
+    toExportRows,
+    toCsv,
+    toJson,
+    getExportFileName
+  } = globalThis.KonzumSorterExport;
+
+  const {
+    buildSearchQuery,
+    getSearchUrl,
+    readCartQuantity,
+    getLineUnitPrice,
+    findSubstitutes,
+    summarizeBasket
+  } = globalThis.KonzumSorterBasket;
+
+  const { getWatchKey, createWatchEntry } = globalThis.KonzumSorterWatchlist;
+
+  // User preferences from the options page, loaded in init()
+  let settings = { ...DEFAULT_SETTINGS };
+
+  // Last unit price sort chosen for this site or category, loaded in init()
+  let savedSort = null;
+
+  // The site's own sort selected in its dropdown, selected again on reset; kept here so the site's markup stays untouched
+  let originalSortValue = null;
+
+  // Kind of listing on the page, from detectPageType(); null until detected or if the page lists no products
+  let pageType = null;
+
+  // Amount entered in "Trebam:" in its base unit, e.g. { value: 3, unit: 'kg' }; null if none
+  let neededAmount = null;
 
   /**
-   * Log debug messages to console when DEBUG is enabled
+   * Log debug messages to console when debug mode is enabled in the options
    * @param {...any} args - Arguments to log
    */
   function log(...args) {
-    if (DEBUG) console.log('[Konzum Sorter]', ...args);
+    if (settings.debug) console.log('[Konzum Sorter]', ...args);
   }
 
   /**
-   * Parse unit price from text like "0,41 €/kom" or "0.41 €/kom"
-   * Handles both comma and dot as decimal separators
-   * @param {string} priceText - Text containing the price
-   * @returns {number|null} Parsed price as a number, or null if invalid
+   * Get the card layout of the page, the usual product grid if the page type isn't known yet
+   * @returns {{container: string, card: string, pagination: string}} Listing layout
    */
-  function parseUnitPrice(priceText) {
-    if (!priceText) return null;
+  function getLayout() {
+    return (pageType || GENERIC_LISTING).layout;
+  }
 
-    // Extract number from text (handle both comma and dot as decimal separator)
-    const match = priceText.match(/(\d+[,.]?\d*)/);
-    if (!match) return null;
+  /**
+   * Check if a feature is enabled on this page type
+   * @param {string} feature - Feature name, e.g. 'globalSort'
+   * @returns {boolean} True if enabled
+   */
+  function hasFeature(feature) {
+    return Boolean(pageType && pageType.features[feature]);
+  }
 
-    // Convert to number (replace comma with dot for parsing)
-    const price = parseFloat(match[1].replace(',', '.'));
-    return isNaN(price) ? null : price;
+  /**
+   * Get the product cards of the listing, using the page type's layout
+   * @returns {Array<HTMLElement>} Product card elements
+   */
+  function getListingCards() {
+    return getProductCards(document, pageType ? pageType.layout : null);
   }
 
   /**
-   * Find the sorting dropdown on the page
-   * Looks for "Sortiraj po" label or options containing sorting keywords
-   * @returns {HTMLSelectElement|null} The sorting dropdown element or null if not found
+   * Show the normalized unit price badge on a product card: the price, its
+   * rank in the unit group and how it compares with the cheapest
+   * Cards whose prices couldn't be parsed are flagged instead
+   * @param {HTMLElement} card - The product card element
+   * @param {{value: number, unit: string|null}|null} unitPrice - Extracted unit price
+   * @param {Array<string>} [parseErrors=[]] - Fields the card shows but that couldn't be parsed
+   * @param {UnitPriceRank|null} [rank=null] - Rank from rankByUnitPrice, null to show only the price
    */
-  function findSortingDropdown() {
-    // Look for "Sortiraj po" dropdown
-    const selects = document.querySelectorAll('select');
-    log(`Found ${selects.length} select elements`);
+  function markUnitOnCard(card, unitPrice, parseErrors = [], rank = null) {
+    let tag = card.querySelector('.konzum-unit-tag');
 
-    for (let select of selects) {
-      const label = select.previousElementSibling;
-      if (label && label.textContent.includes('Sortiraj')) {
-        log('Found sorting dropdown via label');
-        return select;
-      }
-      // Also check if the select itself has options about sorting
-      const options = select.querySelectorAll('option');
-      for (let option of options) {
-        if (option.textContent.includes('Relevantnost') ||
-            option.textContent.includes('Naziv') ||
-            option.textContent.includes('Cijena')) {
-          log('Found sorting dropdown via options');
-          return select;
-        }
+    if (parseErrors.length > 0) {
+      card.setAttribute('data-konzum-parse-error', parseErrors.join(' '));
+    } else {
+      card.removeAttribute('data-konzum-parse-error');
+    }
+
+    if (!unitPrice && parseErrors.length === 0) {
+      card.removeAttribute('data-unit');
+      // The price trend badge needs the card positioned too
+      card.classList.toggle('konzum-badged', Boolean(card.querySelector('.konzum-price-trend')));
+      if (tag) tag.remove();
+      return;
+    }
+
+    if (!tag) {
+      tag = document.createElement('div');
+      tag.className = 'konzum-unit-tag';
+      card.appendChild(tag);
+    }
+    card.classList.add('konzum-badged');
+    tag.classList.toggle('konzum-unit-tag-error', !unitPrice);
+    tag.classList.toggle('konzum-unit-tag-computed', Boolean(unitPrice && unitPrice.computed));
+    tag.classList.toggle('konzum-best-value', Boolean(rank && rank.best));
+
+    if (!unitPrice) {
+      card.removeAttribute('data-unit');
+      tag.textContent = 'Cijena nije prepoznata';
+      tag.title = 'Cijena na kartici nije u očekivanom obliku, proizvod je sortiran kao da nema cijenu za j.m.';
+      return;
+    }
+
+    card.setAttribute('data-unit', unitPrice.unit || 'none');
+
+    const price = document.createElement('span');
+    price.className = 'konzum-unit-tag-price';
+    price.textContent = `${unitPrice.value.toFixed(2).replace('.', ',')} ${formatUnit(unitPrice.unit)}${unitPrice.computed ? ' (izračunato)' : ''}`;
+    tag.replaceChildren(price);
+    tag.title = unitPrice.computed ? 'Izračunato iz cijene i veličine pakiranja' : '';
+
+    // Products alone in their unit group have nothing to compare with
+    if (rank && rank.total > 1) {
+      const comparison = document.createElement('span');
+      comparison.className = 'konzum-unit-tag-rank';
+      const perUnit = unitPrice.unit ? `po ${unitPrice.unit}` : '';
+      const parts = rank.best ? ['Najbolja vrijednost'] : [];
+      // Highlighted products still show how far they are from the cheapest
+      if (rank.percentAbove > 0) {
+        parts.push(`+${rank.percentAbove}% skuplje ${perUnit}`.trim());
+      } else if (!rank.best) {
+        parts.push(`Najniža cijena ${perUnit}`.trim());
       }
+      parts.push(`${rank.rank}. od ${rank.total}`);
+      comparison.textContent = parts.join(' · ');
+      tag.appendChild(comparison);
     }
-    return null;
   }
 
   /**
-   * Get all product cards from the page
-   * Tries multiple strategies to find product elements
-   * @returns {Array<HTMLElement>} Array of product card elements
+   * Get the options the comparators need: the settings plus the amount entered in "Trebam:"
+   * @returns {Object} Sort options for compareProducts
    */
-  function getProductCards() {
-    log('Searching for product cards...');
+  function getSortOptions() {
+    return { ...settings, need: neededAmount };
+  }
+
+  /**
+   * Parse the product cards on the page
+   * @returns {Array<Object>} Product records with their card elements
+   */
+  function parsePageCards() {
+    return getListingCards().map(card => ({ element: card, ...parseProductCard(card) }));
+  }
+
+  /**
+   * Show unit price badges on product cards, ranked against each other
+   * @param {Array<Object>} [products] - Product records with their card elements; all cards on the page if omitted
+   * @param {Array<Object>} [targets=products] - Products whose cards are marked, e.g. the chunk just rendered
+   */
+  function annotateCards(products = null, targets = products) {
+    if (!products) products = targets = parsePageCards();
+
+    markCards(targets, rankProducts(products));
+    trackPriceHistory(targets);
+  }
+
+  /**
+   * Rank products by unit price for the badges
+   * @param {Array<Object>} products - Product records ranked against each other
+   * @returns {Map<Object, UnitPriceRank>} Ranks by product, empty while badges are off
+   */
+  function rankProducts(products) {
+    return settings.unitBadges ? rankByUnitPrice(products, settings.bestValueCount) : new Map();
+  }
+
+  /**
+   * Mark product cards with their unit price, needed packs and watch controls
+   * @param {Array<Object>} products - Product records with their card elements
+   * @param {Map<Object, UnitPriceRank>} ranks - Ranks from rankProducts
+   */
+  function markCards(products, ranks) {
+    products.forEach(product => {
+      if (!product.element) return;
+      markUnitOnCard(product.element, product.unitPrice, product.parseErrors, ranks.get(product) || null);
+      markNeedOnCard(product.element, getPacksForAmount(product, neededAmount));
+      markWatchOnCard(product.element, product);
+    });
+  }
 
-    // First, try to find product-item elements directly (only article tags)
-    const productItems = document.querySelectorAll('article.product-item');
-    if (productItems.length > 3) {
-      log(`Found ${productItems.length} product items via article.product-item selector`);
-      return Array.from(productItems);
+  /**
+   * Format an amount in its base unit, e.g. "1,5 kg"
+   * @param {number} value - Amount
+   * @param {string} unit - Base unit
+   * @returns {string} Formatted amount
+   */
+  function formatAmount(value, unit) {
+    return `${String(Math.round(value * 1000) / 1000).replace('.', ',')} ${unit}`;
+  }
+
+  /**
+   * Show how many packs reach the amount entered in "Trebam:", their total and the excess bought
+   * @param {HTMLElement} card - The product card element
+   * @param {PacksForAmount|null} packs - Packs from getPacksForAmount, null to remove the tag
+   */
+  function markNeedOnCard(card, packs) {
+    let tag = card.querySelector('.konzum-need-tag');
+    if (!packs) {
+      if (tag) tag.remove();
+      return;
     }
 
-    // Fallback to other selectors
-    const altItems = document.querySelectorAll('.product-item, .product-card');
-    if (altItems.length > 3) {
-      log(`Found ${altItems.length} product items via fallback selector`);
-      return Array.from(altItems);
+    if (!tag) {
+      tag = document.createElement('div');
+      tag.className = 'konzum-need-tag';
+      card.appendChild(tag);
     }
 
-    // Try to find links to product pages
-    const productLinks = Array.from(document.querySelectorAll('a[href*="/web/products/"]'));
-    log(`Found ${productLinks.length} product links`);
+    const total = document.createElement('span');
+    total.className = 'konzum-need-total';
+    total.textContent = `${packs.packs} × ${formatEuro(packs.total / packs.packs)} = ${formatEuro(packs.total)}`;
+    tag.replaceChildren(total);
 
-    if (productLinks.length > 0) {
-      // Find the common parent that represents each product card
-      const cards = [];
-      const seenElements = new Set();
+    if (packs.excess > 0) {
+      const excess = document.createElement('span');
+      excess.className = 'konzum-need-excess';
+      excess.textContent = `+${formatAmount(packs.excess, neededAmount.unit)} viška`;
+      tag.appendChild(excess);
+    }
+    tag.title = `Za ${formatAmount(neededAmount.value, neededAmount.unit)} treba ${packs.packs} pak., ukupno ${formatAmount(packs.amount, neededAmount.unit)}`;
+  }
 
-      for (let link of productLinks) {
-        // Go up the DOM tree to find the product card container
-        let current = link;
-        let candidate = null;
+  /**
+   * Format a price in euro, e.g. "1,29 €"
+   * @param {number} value - Price
+   * @returns {string} Formatted price
+   */
+  function formatEuro(value) {
+    return `${value.toFixed(2).replace('.', ',')} €`;
+  }
 
-        // Try to find article.product-item or similar
-        for (let i = 0; i < 10; i++) {
-          current = current.parentElement;
-          if (!current) break;
+  // Price history store, opened on first use; null outside the extension
+  let priceHistoryPromise = null;
 
-          // Look for the actual product card (article or div with product classes)
-          if (current.tagName === 'ARTICLE' ||
-              current.classList.contains('product-item') ||
-              current.classList.contains('product-card') ||
-              current.className.includes('product-default')) {
-            candidate = current;
-            break;
-          }
-        }
+  /**
+   * Record the prices of the given products and show their trends
+   * Products from fetched pages are recorded too, only cards in the document get a trend badge.
+   * @param {Array<Object>} products - Product records
+   * @returns {Promise<void>} Resolves once the trends are shown
+   */
+  async function trackPriceHistory(products) {
+    showTrends(products, await recordPriceHistory(products));
+  }
 
-        if (candidate && !seenElements.has(candidate)) {
-          seenElements.add(candidate);
-          cards.push(candidate);
-        }
-      }
+  /**
+   * Record the prices of the given products
+   * @param {Array<Object>} products - Product records
+   * @returns {Promise<Map<string, Array<Object>>|null>} Recorded prices by history key, null if not recorded
+   */
+  async function recordPriceHistory(products) {
+    if (!settings.priceHistory || !hasFeature('priceHistory')) return null;
 
-      if (cards.length > 0) {
-        log(`Found ${cards.length} product cards via product links`);
-        return cards;
-      }
+    if (!priceHistoryPromise) {
+      priceHistoryPromise = openPriceHistory().catch(error => {
+        log('Price history not available:', error);
+        return null;
+      });
     }
 
-    // Fallback: Try specific selectors
-    const selectors = [
-      '.product-card',
-      '[data-product]',
-      '.product-item',
-      'article.product',
-      '.product',
-      '[class*="ProductCard"]',
-      '[class*="product-"]'
-    ];
+    try {
+      const history = await priceHistoryPromise;
+      if (!history) return null;
 
-    for (let selector of selectors) {
-      const cards = document.querySelectorAll(selector);
-      if (cards.length > 0) {
-        const hasPrice = cards[0].textContent.includes('€') || cards[0].textContent.includes('Cijena');
-        if (hasPrice) {
-          log(`Found ${cards.length} cards using selector: ${selector}`);
-          return Array.from(cards);
-        }
-      }
+      const histories = await history.record(products);
+      log(`Recorded prices of ${histories.size} products`);
+      return histories;
+    } catch (error) {
+      log('Could not record prices:', error);
+      return null;
     }
+  }
 
-    // Last resort: find grid/list containers
-    const containers = document.querySelectorAll('[class*="grid"], [class*="list"], [class*="results"], [class*="Grid"], [class*="List"]');
-    log(`Trying ${containers.length} container elements`);
+  /**
+   * Show the price trends of the given products whose cards are in the document
+   * @param {Array<Object>} products - Product records
+   * @param {Map<string, Array<Object>>|null} histories - Recorded prices from recordPriceHistory
+   */
+  function showTrends(products, histories) {
+    if (!histories) return;
+    products.forEach(product => {
+      if (!product.element || !product.element.isConnected) return;
+      markTrendOnCard(product.element, histories.get(getHistoryKey(product)), product.oldPrice != null);
+    });
+  }
 
-    for (let container of containers) {
-      const children = Array.from(container.children);
-      if (children.length > 3 && children[0].textContent.includes('€')) {
-        log(`Found ${children.length} cards in container with class: ${container.className}`);
-        return children;
-      }
+  /**
+   * Show a product's price trend and its lowest price in the last 30 days on its card,
+   * with a sparkline of the recorded prices on hover
+   * @param {HTMLElement} card - The product card element
+   * @param {Array<Object>|undefined} points - Recorded prices of the product, oldest first
+   * @param {boolean} onSale - True if the card shows an old price next to the current one
+   */
+  function markTrendOnCard(card, points, onSale) {
+    let badge = card.querySelector('.konzum-price-trend');
+    const summary = points ? summarizeHistory(points) : null;
+
+    // A single day says nothing about the trend yet
+    if (!summary || summary.count < 2) {
+      if (badge) badge.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.className = 'konzum-price-trend';
+      badge.tabIndex = 0;
+      card.appendChild(badge);
+    }
+    card.classList.add('konzum-badged');
+    ['up', 'down', 'same'].forEach(trend => badge.classList.toggle(`konzum-trend-${trend}`, summary.trend === trend));
+
+    const arrow = { up: '↑', down: '↓', same: '→' }[summary.trend];
+    const label = document.createElement('span');
+    label.textContent = `${arrow} najniža u ${LOWEST_PRICE_DAYS} dana: ${formatEuro(summary.lowest)}`;
+
+    const popover = document.createElement('div');
+    popover.className = 'konzum-price-trend-popover';
+
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', '-2 -2 124 36');
+    svg.setAttribute('width', '124');
+    svg.setAttribute('height', '36');
+    const path = document.createElementNS(svgNs, 'path');
+    path.setAttribute('d', buildSparklinePath(points, 120, 32));
+    svg.appendChild(path);
+    popover.appendChild(svg);
+
+    const lines = [
+      `Najniža cijena u zadnjih ${LOWEST_PRICE_DAYS} dana: ${formatEuro(summary.lowest)}`,
+      `Najviša: ${formatEuro(summary.highest)} · sada ${formatEuro(summary.current)}`,
+      summary.previous !== null ? `Prije promjene: ${formatEuro(summary.previous)}` : 'Cijena se nije mijenjala',
+      `Zabilježeno ${summary.count} dana`
+    ];
+    lines.forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      popover.appendChild(line);
+    });
+
+    // A sale price no lower than recent prices isn't a real discount
+    if (onSale && summary.lowestBefore !== null && summary.current >= summary.lowestBefore) {
+      const warning = document.createElement('div');
+      warning.className = 'konzum-price-trend-warning';
+      warning.textContent = `Akcijska cijena nije niža od najniže u zadnjih ${LOWEST_PRICE_DAYS} dana`;
+      popover.appendChild(warning);
     }
 
-    log('No product cards found!');
-    return [];
+    badge.replaceChildren(label, popover);
   }
 
   /**
-   * Extract unit price from a product card element
-   * Searches for "Cijena za j.m." text and extracts the price
-   * @param {HTMLElement} card - The product card element
-   * @returns {number|null} The unit price or null if not found
-   */
-  function extractUnitPrice(card) {
-    // Look for text containing "Cijena za j.m."
-    const text = card.textContent;
-    const regex = /Cijena za j\.m\.:?\s*(\d+[,.]?\d*)\s*€/i;
-    const match = text.match(regex);
-
-    if (match) {
-      const price = parseUnitPrice(match[1]);
-      log(`Found unit price: ${price} €`);
-      return price;
-    }
-
-    // Alternative: look for element with unit price
-    const priceElements = card.querySelectorAll('[class*="unit"], [class*="j.m."], small, .price-info, span, div');
-    for (let elem of priceElements) {
-      const elemText = elem.textContent;
-      if (elemText.includes('j.m.')) {
-        const priceMatch = elemText.match(/(\d+[,.]?\d*)\s*€/);
-        if (priceMatch) {
-          const price = parseUnitPrice(priceMatch[1]);
-          if (price !== null) {
-            log(`Found unit price in element: ${price} €`);
-            return price;
-          }
-        }
-      }
+   * Warn about cards whose prices couldn't be parsed, usually after a Konzum markup change
+   * @param {Array<{name: string, parseErrors: (Array<string>|undefined)}>} products - Parsed products
+   * @returns {number} Number of products with parse errors
+   */
+  function reportParseErrors(products) {
+    const failed = products.filter(product => product.parseErrors && product.parseErrors.length > 0);
+    if (failed.length > 0) {
+      console.warn(`[Konzum Sorter] Could not parse prices on ${failed.length} product cards:`,
+        failed.map(product => `${product.name || '(bez naziva)'}: ${product.parseErrors.join(', ')}`));
     }
+    return failed.length;
+  }
 
-    return null;
+  /**
+   * Notification suffix for products with unparsed prices
+   * @param {number} count - Number of products with parse errors
+   * @returns {string} Suffix, empty if there are none
+   */
+  function describeParseErrors(count) {
+    return count > 0 ? ` · ${count} s neprepoznatom cijenom` : '';
   }
 
   // Global variables to store current sort state
   let currentSortState = null;
-  let sortObserver = null;
   let allProductsData = []; // Store all products from all pages
 
+  // The listing as it was before the first sort, so the sort can be undone
+  let listingSnapshot = null;
+
+  // Products of the merged all-pages list in the order shown, null while it isn't shown
+  let mergedProducts = null;
+
+  // Unit price ranks and recorded prices of the merged list, shared by its chunks
+  let mergedRanks = new Map();
+  let mergedHistories = Promise.resolve(null);
+
+  // Cards of the merged list added at a time as the user scrolls
+  const RENDER_CHUNK = 40;
+
+  // A saved scroll position is only restored on the first render after the page loads
+  let scrollRestored = false;
+
+  // Adds the merged list a chunk at a time, see list-renderer.js
+  const listRenderer = createListRenderer({
+    createCard: createMergedCard,
+    // Ranks and prices of the whole list are worked out once per render, see replaceCurrentPageProducts
+    onRender: chunk => {
+      markCards(chunk, mergedRanks);
+      mergedHistories.then(histories => showTrends(chunk, histories));
+    },
+    chunkSize: RENDER_CHUNK,
+    write: fn => sortEngine.write(fn, { cardsChanged: true }),
+    log: log
+  });
+
+  // Re-sorts the listing when the site re-renders it, see sort-engine.js
+  const sortEngine = createSortEngine({
+    getCards: () => getListingCards(),
+    resort: reapplyCurrentSort,
+    log: log
+  });
+
+  // Page fetching limits for the global sort
+  const FETCH_CONCURRENCY = 4; // Pages requested in parallel
+  const FETCH_TIMEOUT = 15000; // Per-request timeout in ms
+  const FETCH_RETRIES = 2; // Retries per page after the first attempt
+  const FETCH_BACKOFF = 500; // Base delay in ms, doubled on each retry
+
+  // Aborts the in-flight global fetch on navigation or when a new sort starts
+  let fetchController = null;
+
+  /**
+   * Build a product record from a card element
+   * @param {HTMLElement} card - The product card element
+   * @param {number} page - Page the card was found on
+   * @param {boolean} inDom - True if the card is part of the current document
+   * @returns {Object} Product record from parseProductCard plus element, page, html and collection time
+   */
+  function toProductRecord(card, page, inDom) {
+    return {
+      element: inDom ? card : null, // Cards from fetched pages are not in current DOM
+      ...parseProductCard(card),
+      page: page,
+      html: card.outerHTML,
+      collectedAt: Date.now() // Kept in the cache, so exports show when a price was read
+    };
+  }
+
+  /**
+   * Wait for the given time, rejecting early if the signal is aborted
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<void>}
+   */
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Fetch a page's HTML with a timeout, retrying with exponential backoff
+   * @param {string} url - Page URL
+   * @param {AbortSignal} signal - Aborts the request and any pending retry
+   * @returns {Promise<string>} Page HTML
+   */
+  async function fetchPageHtml(url, signal) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      const timer = setTimeout(abort, FETCH_TIMEOUT);
+      signal.addEventListener('abort', abort, { once: true });
+
+      try {
+        const response = await fetch(url, { signal: controller.signal, credentials: 'same-origin' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.text();
+      } catch (error) {
+        if (signal.aborted) throw error;
+        if (attempt >= FETCH_RETRIES) throw error;
+
+        const wait = FETCH_BACKOFF * Math.pow(2, attempt);
+        log(`Retrying ${url} in ${wait} ms (${error.message})`);
+        await delay(wait, signal);
+      } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  }
+
+  /**
+   * Cancel the in-flight global fetch, if any
+   */
+  function abortGlobalFetch() {
+    if (fetchController) {
+      log('Aborting in-flight page fetch');
+      fetchController.abort();
+      fetchController = null;
+    }
+    hideProgress();
+  }
+
+  // Hard limit on pages followed through "next" links
+  const MAX_PAGES = 200;
+
   /**
    * Fetch all products from all pages by analyzing pagination
-   * Makes multiple requests to get products from each page
-   * @returns {Promise<Array<Object>>} Array of product objects with element, unitPrice, page, name, and html
+   * Pages known from the pagination links and the total result count are
+   * requested in parallel (bounded by FETCH_CONCURRENCY); "next" links found on
+   * fetched pages are followed until they run out. Stops at an empty page or a
+   * page whose products were all seen before.
+   * @param {Object} [options] - Fetch options
+   * @param {AbortSignal} [options.signal] - Cancels all pending requests
+   * @param {function(number, number, number): void} [options.onProgress] - Called with pages done, total pages known so far and products found
+   * @returns {Promise<Array<Object>>} Array of product objects with element, unitPrice, page, name, url, and html, in page order
    */
-  async function fetchAllProducts() {
+  async function fetchAllProducts({ signal = new AbortController().signal, onProgress = () => {} } = {}) {
     log('Fetching all products from all pages...');
 
-    const allProducts = [];
     const baseUrl = new URL(window.location.href);
-    const params = new URLSearchParams(baseUrl.search);
+    const currentPage = getCurrentPageNumber();
+
+    // Current page is already in the DOM; skip cards injected by an earlier global sort
+    const liveCards = getListingCards().filter(card => !card.hasAttribute('data-konzum-injected'));
+    const productsByPage = [];
+    productsByPage[currentPage] = liveCards.map(card => toProductRecord(card, currentPage, true));
+    log(`Page ${currentPage}: ${liveCards.length} products`);
+
+    // Products of the pages fetched so far, in whatever order they finished
+    const fetchedUrls = new Set(productsByPage[currentPage].map(p => p.url).filter(Boolean));
+    let productCount = liveCards.length;
+    let pagesDone = 1;
+    let lastPage = MAX_PAGES; // Lowered when an empty page is found, and by repeated pages once all are in
+    let knownPages = 1;
+
+    const queue = [];
+    const queued = new Set([currentPage]);
+
+    // Queue every page up to the given number that isn't fetched yet
+    const discoverPages = (upTo) => {
+      const limit = Math.min(upTo, lastPage);
+      for (let page = 1; page <= limit; page++) {
+        if (!queued.has(page)) {
+          queued.add(page);
+          queue.push(page);
+        }
+      }
+      knownPages = Math.max(knownPages, limit);
+    };
 
-    // Try to get total number of pages
-    const paginationLinks = document.querySelectorAll('.pagination a, [class*="pagination"] a, [class*="page"] a');
-    let maxPage = 1;
+    const discoverFrom = (doc, cardCount) => {
+      const pagination = detectPagination(doc);
+      discoverPages(pagination.maxPage);
+      if (pagination.nextPage !== null) discoverPages(pagination.nextPage);
 
-    paginationLinks.forEach(link => {
-      const match = link.textContent.match(/\d+/);
-      if (match) {
-        const pageNum = parseInt(match[0]);
-        if (pageNum > maxPage) maxPage = pageNum;
+      // Total result count covers pages elided from the pagination
+      if (pagination.totalResults !== null && cardCount > 0) {
+        discoverPages(Math.ceil(pagination.totalResults / cardCount));
       }
-    });
+    };
 
-    log(`Detected ${maxPage} pages to fetch`);
+    discoverFrom(document, liveCards.length);
+    log(`Detected ${knownPages} pages to fetch`);
+    onProgress(pagesDone, knownPages, productCount);
 
-    // Fetch each page
-    for (let page = 1; page <= maxPage; page++) {
-      try {
-        let pageUrl;
-        if (page === 1) {
-          // Current page
-          const cards = getProductCards();
-          cards.forEach(card => {
-            const unitPrice = extractUnitPrice(card);
-            const productName = card.querySelector('a[href*="/web/products/"]')?.textContent?.trim() || '';
-            allProducts.push({
-              element: card,
-              unitPrice: unitPrice,
-              page: page,
-              name: productName,
-              html: card.outerHTML
-            });
-          });
-          log(`Page ${page}: ${cards.length} products`);
-        } else {
-          // Fetch other pages
-          params.set('page', page);
-          pageUrl = `${baseUrl.origin}${baseUrl.pathname}?${params.toString()}`;
+    const worker = async () => {
+      while (queue.length > 0 && !signal.aborted) {
+        const page = queue.shift();
+        if (page > lastPage) continue;
+
+        const params = new URLSearchParams(baseUrl.search);
+        params.set('page', page);
+        const pageUrl = `${baseUrl.origin}${baseUrl.pathname}?${params.toString()}`;
 
+        try {
           log(`Fetching page ${page}: ${pageUrl}`);
-          const response = await fetch(pageUrl);
-          const html = await response.text();
-
-          // Parse HTML
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(html, 'text/html');
-
-          // Extract products from this page
-          const cards = doc.querySelectorAll('article.product-item');
-          cards.forEach(card => {
-            const unitPrice = extractUnitPrice(card);
-            const productName = card.querySelector('a[href*="/web/products/"]')?.textContent?.trim() || '';
-            allProducts.push({
-              element: null, // Not in current DOM
-              unitPrice: unitPrice,
-              page: page,
-              name: productName,
-              html: card.outerHTML
-            });
-          });
-          log(`Page ${page}: ${cards.length} products`);
+          const html = await fetchPageHtml(pageUrl, signal);
+
+          // Parse HTML and extract products from this page
+          const doc = new DOMParser().parseFromString(html, 'text/html');
+          const cards = getLayoutCards(doc, getLayout());
+          const records = cards.map(card => toProductRecord(card, page, false));
+
+          // An empty page means we ran past the end
+          if (records.length === 0) {
+            log(`Page ${page} is empty, stopping at page ${page - 1}`);
+            lastPage = Math.min(lastPage, page - 1);
+          } else {
+            productsByPage[page] = records;
+            log(`Page ${page}: ${records.length} products`);
+
+            // Repeats are only decided in page order below; nothing new to count or discover here
+            const isNew = records.some(record => !record.url || !fetchedUrls.has(record.url));
+            if (isNew) {
+              records.forEach(record => fetchedUrls.add(record.url));
+              productCount += records.length;
+              discoverFrom(doc, records.length);
+            }
+          }
+        } catch (error) {
+          if (signal.aborted) return;
+          log(`Error fetching page ${page}:`, error);
         }
-      } catch (error) {
-        log(`Error fetching page ${page}:`, error);
+
+        pagesDone++;
+        onProgress(pagesDone, Math.min(knownPages, lastPage), productCount);
+      }
+    };
+
+    // Pages found on fetched pages refill the queue, run until nothing is left
+    while (queue.length > 0 && !signal.aborted) {
+      const workers = [];
+      for (let i = 0; i < Math.min(FETCH_CONCURRENCY, queue.length); i++) {
+        workers.push(worker());
       }
+      await Promise.all(workers);
+    }
+
+    if (signal.aborted) {
+      throw new DOMException('Aborted', 'AbortError');
     }
 
-    log(`Fetched ${allProducts.length} total products from ${maxPage} pages`);
+    // A page repeating only products of the pages before it means the site
+    // served the last page again for a page past the end. Pages finish in any
+    // order, so this is only decided once all of them are in.
+    const seenUrls = new Set();
+    const allProducts = [];
+    for (let page = 1; page <= lastPage; page++) {
+      const records = productsByPage[page];
+      if (!records) continue;
+
+      const isNew = records.some(record => !record.url || !seenUrls.has(record.url));
+      if (!isNew && page !== currentPage) {
+        log(`Page ${page} repeats earlier products, stopping at page ${page - 1}`);
+        lastPage = page - 1;
+        break;
+      }
+      records.forEach(record => seenUrls.add(record.url));
+      allProducts.push(...records);
+    }
+    log(`Fetched ${allProducts.length} total products from ${Math.min(knownPages, lastPage)} pages`);
     return allProducts;
   }
 
+  /**
+   * Show or update the persistent progress indicator
+   * @param {string} message - Progress text
+   */
+  function showProgress(message) {
+    let progress = document.getElementById('konzum-sort-progress');
+    if (!progress) {
+      progress = document.createElement('div');
+      progress.id = 'konzum-sort-progress';
+      progress.className = 'konzum-sort-progress';
+      progress.setAttribute('role', 'status');
+      document.body.appendChild(progress);
+    }
+    progress.textContent = message;
+  }
+
+  /**
+   * Remove the progress indicator
+   */
+  function hideProgress() {
+    const progress = document.getElementById('konzum-sort-progress');
+    if (progress) progress.remove();
+  }
+
+  // Cache of parsed product records per listing, kept in extension storage rather
+  // than the site's own, which it would fill up and the page could read
+  const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+  /**
+   * Build the cache key for the current listing: path plus search and filter
+   * parameters, ignoring the page number
+   * @returns {string} Cache key
+   */
+  function getCacheKey() {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('page');
+    params.sort();
+    return `${window.location.pathname}?${params.toString()}`;
+  }
+
+  /**
+   * Fingerprint the products of one page so cached data can be checked
+   * against what the site currently shows
+   * @param {Array<{url: string, unitPrice: ({value: number}|null)}>} products - Products of one page
+   * @returns {string} Short hash of product URLs and unit prices
+   */
+  function fingerprintProducts(products) {
+    const text = products.map(p => `${p.url}|${p.unitPrice ? p.unitPrice.value : ''}`).join(';');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${products.length}:${hash >>> 0}`;
+  }
+
+  /**
+   * Save fetched product records for the current listing
+   * Listings past CACHE_TTL are dropped at the same time.
+   * @param {Array<Object>} products - Product records from fetchAllProducts
+   * @returns {Promise<void>} Resolves once the products are cached, or couldn't be
+   */
+  async function saveCachedProducts(products) {
+    const pages = new Set(products.map(p => p.page));
+    const fingerprints = {};
+    pages.forEach(page => {
+      fingerprints[page] = fingerprintProducts(products.filter(p => p.page === page));
+    });
+
+    const entry = {
+      savedAt: Date.now(),
+      fingerprints: fingerprints,
+      // DOM elements can't be stored, they are re-linked when read
+      products: products.map(({ element, ...record }) => record)
+    };
+
+    const key = getCacheKey();
+    const cache = {};
+    Object.entries(await loadProductCache()).forEach(([listing, cached]) => {
+      if (Date.now() - cached.savedAt <= CACHE_TTL) cache[listing] = cached;
+    });
+    cache[key] = entry;
+
+    try {
+      await saveProductCache(cache);
+    } catch (error) {
+      // Most likely over quota, keep only this listing
+      log('Could not cache products, clearing other listings:', error);
+      try {
+        await saveProductCache({ [key]: entry });
+      } catch (retryError) {
+        log('Products not cached:', retryError);
+      }
+    }
+  }
+
+  /**
+   * Read cached product records for the current listing
+   * Entries past CACHE_TTL, or whose copy of the current page no longer matches
+   * the live page, are not used. Records are re-linked to cards already in the document.
+   * @returns {Promise<Array<Object>|null>} Product records, or null if nothing usable is cached
+   */
+  async function getCachedProducts() {
+    const entry = (await loadProductCache())[getCacheKey()];
+    if (!entry || !Array.isArray(entry.products)) return null;
+
+    if (Date.now() - entry.savedAt > CACHE_TTL) {
+      log('Cached products expired');
+      return null;
+    }
+
+    const liveCards = getListingCards();
+
+    // Once the merged list is shown the live cards are no longer page 1
+    const showingMergedList = liveCards.some(card => card.hasAttribute('data-konzum-injected'));
+    if (!showingMergedList) {
+      const page = getCurrentPageNumber();
+      const liveFingerprint = fingerprintProducts(liveCards.map(card => toProductRecord(card, page, true)));
+      if (!entry.fingerprints || liveFingerprint !== entry.fingerprints[page]) {
+        log(`Page ${page} changed since products were cached, refetching`);
+        return null;
+      }
+    }
+
+    const cardsByUrl = new Map();
+    liveCards.forEach(card => {
+      const url = card.querySelector('a[href*="/web/products/"]')?.getAttribute('href');
+      if (url) cardsByUrl.set(url, card);
+    });
+
+    log(`Using ${entry.products.length} cached products`);
+    return entry.products.map(record => ({ ...record, element: cardsByUrl.get(record.url) || null }));
+  }
+
   /**
    * Sort all products globally across all pages and show them on one page
    * Fetches products from all pages, sorts them, and displays everything together
    * @param {boolean} ascending - True for ascending sort, false for descending
+   * @param {string} [primaryKey='unitPrice'] - Key to sort by first, one of SORT_KEYS
    */
-  async function sortByUnitPriceGlobally(ascending = true) {
-    log(`Starting GLOBAL sort: ${ascending ? 'ascending' : 'descending'}`);
+  async function sortByUnitPriceGlobally(ascending = true, primaryKey = 'unitPrice') {
+    log(`Starting GLOBAL sort by ${primaryKey}: ${ascending ? 'ascending' : 'descending'}`);
+    sortEngine.stop();
+    takeListingSnapshot();
 
     // Store sort state
-    currentSortState = { ascending: ascending, global: true };
+    const sortState = { ascending: ascending, global: true, primaryKey: primaryKey };
+    currentSortState = sortState;
+    updateSortControls();
 
     // Check if there are multiple pages
-    const paginationLinks = document.querySelectorAll('.pagination a, [class*="pagination"] a, [class*="page"] a');
-    let hasPagination = false;
-
-    paginationLinks.forEach(link => {
-      const text = link.textContent.trim();
-      if (text.match(/^\d+$/)) {
-        hasPagination = true;
-      }
-    });
+    const pagination = detectPagination(document);
+    const hasPagination = pagination.maxPage > 1 ||
+      pagination.nextPage !== null ||
+      (pagination.totalResults !== null && pagination.totalResults > getListingCards().length);
 
     // If only one page, just do local sort
     if (!hasPagination) {
       log('Only one page detected, using local sort');
-      sortByUnitPrice(ascending);
+      sortByUnitPrice(ascending, primaryKey);
       return;
     }
 
-    // Show loading message
-    showNotification('Učitavam sve proizvode sa svih stranica...');
+    // Cancel a previous global sort that is still loading
+    abortGlobalFetch();
 
-    // Fetch all products
-    allProductsData = await fetchAllProducts();
+    // Reuse products fetched earlier in this session
+    const cachedProducts = await getCachedProducts();
+    // Another sort or a reset came in while the cache was read
+    if (currentSortState !== sortState) return;
+    if (cachedProducts) {
+      allProductsData = cachedProducts;
+    } else {
+      const controller = new AbortController();
+      fetchController = controller;
+      updateControlPanel();
+
+      // Fetch all products, showing live progress
+      showProgress('Učitavam sve proizvode sa svih stranica...');
+      try {
+        allProductsData = await fetchAllProducts({
+          signal: controller.signal,
+          onProgress: (pagesDone, totalPages, productCount) => {
+            showProgress(`Učitavam: stranica ${pagesDone}/${totalPages}, ${productCount} proizvoda`);
+          }
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          log('Global sort cancelled');
+          return;
+        }
+        throw error;
+      } finally {
+        if (fetchController === controller) {
+          fetchController = null;
+          hideProgress();
+          updateControlPanel();
+        }
+      }
+
+      if (allProductsData.length > 0) {
+        saveCachedProducts(allProductsData);
+      }
+    }
 
     if (allProductsData.length === 0) {
       log('ERROR: No products found!');
@@ -338,85 +936,504 @@
 
     log(`${withPrice.length} products with unit price, ${withoutPrice.length} without`);
 
-    // Sort products by unit price
-    withPrice.sort((a, b) => {
-      return ascending ? a.unitPrice - b.unitPrice : b.unitPrice - a.unitPrice;
-    });
+    // Sort products by the sort spec; unit prices are grouped by unit (€/kg, €/l, €/kom)
+    const spec = buildSortSpec(ascending, primaryKey, settings.secondarySort);
+    const sortedAll = [...allProductsData].sort((a, b) => compareProducts(a, b, spec, getSortOptions()));
+
+    // Display ALL products on one page, where it was scrolled to the first time after the page loads
+    const saved = scrollRestored ? null : await readScrollPosition();
+    scrollRestored = true;
+    if (currentSortState !== sortState) return;
+    replaceCurrentPageProducts(sortedAll, saved);
+
+    // Filter the merged list in place
+    const container = getProductListContainer();
+    if (container && hasFeature('filters')) showFilterBar(container);
+
+    // Hide pagination since we're showing everything
+    hidePagination();
+
+    if (container) sortEngine.watch(container);
+    updateControlPanel();
+
+    // Show success message
+    const groups = summarizeUnitGroups(withPrice);
+    const unparsed = reportParseErrors(allProductsData);
+    showNotification(`Prikazano svih ${allProductsData.length} proizvoda sortirano ${describeSortSpec(spec)}${groups ? ` (${groups})` : ''}${describeParseErrors(unparsed)}`);
+  }
+
+  // Hide pagination controls
+  function hidePagination() {
+    getPaginationElements().forEach(elem => {
+      elem.style.display = 'none';
+    });
+    log('Pagination hidden');
+  }
+
+  // Find the pagination widgets of the listing
+  function getPaginationElements() {
+    return Array.from(document.querySelectorAll('.pagination, [class*="pagination"], [class*="Pagination"]'));
+  }
+
+  // Find the element holding the product cards of a listing
+  function getProductListContainer() {
+    const container = findListContainer(document, getLayout());
+    if (container) return container;
+
+    // Unknown markup: the cards' own parent
+    const [firstCard] = getListingCards();
+    return firstCard ? firstCard.parentElement : null;
+  }
+
+  /**
+   * Get the card of a product in the merged list, building it from the fetched HTML if needed
+   * Cards are parsed in an inert template so their images only load once they're near the viewport.
+   * @param {Object} product - Product record
+   * @returns {HTMLElement} Card element
+   */
+  function createMergedCard(product) {
+    if (!product.element) {
+      const template = document.createElement('template');
+      template.innerHTML = product.html;
+      const card = template.content.firstElementChild;
+      card.setAttribute('data-konzum-injected', 'true');
+
+      card.querySelectorAll('img').forEach(img => {
+        img.setAttribute('loading', 'lazy');
+        img.setAttribute('decoding', 'async');
+        // The site's own lazy loader doesn't know about injected cards
+        if (!img.getAttribute('src') && img.getAttribute('data-src')) img.setAttribute('src', img.getAttribute('data-src'));
+        if (!img.getAttribute('srcset') && img.getAttribute('data-srcset')) img.setAttribute('srcset', img.getAttribute('data-srcset'));
+      });
+      product.element = document.importNode(card, true);
+    }
+
+    product.element.classList.toggle('konzum-filtered-out', !matchesFilters(product, activeFilters));
+    return product.element;
+  }
+
+  /**
+   * Read the scroll position saved for this listing and sort
+   * Positions are kept as long as the cached products, so they only come back with the same list.
+   * @returns {Promise<{count: number, scrollY: number}|null>} Rendered cards and scroll offset, or null if none is saved
+   */
+  async function readScrollPosition() {
+    const entry = await loadScrollPosition();
+    const sort = currentSortState ? `${currentSortState.primaryKey}:${currentSortState.ascending}` : null;
+    const fresh = entry && Date.now() - entry.savedAt <= CACHE_TTL;
+    return fresh && entry.listing === getCacheKey() && entry.sort === sort ? entry : null;
+  }
+
+  // Pending save of the scroll position, see rememberScrollPosition()
+  let scrollSaveTimer = null;
+
+  /**
+   * Remember how far the merged list is scrolled, so coming back to it restores the position
+   */
+  function rememberScrollPosition() {
+    clearTimeout(scrollSaveTimer);
+    scrollSaveTimer = setTimeout(() => {
+      if (!mergedProducts || !currentSortState) return;
+      saveScrollPosition({
+        listing: getCacheKey(),
+        sort: `${currentSortState.primaryKey}:${currentSortState.ascending}`,
+        count: listRenderer.getRenderedCount(),
+        scrollY: Math.round(window.scrollY),
+        savedAt: Date.now()
+      }).catch(error => log('Could not save scroll position:', error));
+    }, 200);
+  }
+
+  /**
+   * Replace products on current page
+   * @param {Array<Object>} products - Products in the order shown
+   * @param {{count: number, scrollY: number}|null} [saved=null] - Scroll position to restore, from readScrollPosition
+   */
+  function replaceCurrentPageProducts(products, saved = null) {
+    const container = getProductListContainer();
+    if (!container) {
+      log('ERROR: Container not found');
+      return;
+    }
+
+    // A re-sort keeps as many cards as were shown, so the page doesn't jump back
+    let initialCount = listRenderer.getRenderedCount();
+    if (saved) initialCount = Math.max(initialCount, saved.count);
+
+    // Remove existing products
+    listRenderer.stop();
+    const existingCards = container.querySelectorAll(getLayout().card);
+    existingCards.forEach(card => card.remove());
+
+    // Add sorted products as the user scrolls. Cards from the current page are
+    // moved, not rebuilt, so they keep the site's own event listeners
+    // Rank and record the whole list once, chunks only mark their cards.
+    // Prices of products not rendered yet still go into the price history
+    mergedProducts = products;
+    mergedRanks = rankProducts(products);
+    mergedHistories = recordPriceHistory(products);
+    listRenderer.render(container, products, { initialCount: initialCount });
+
+    // Cards rebuilt from HTML have no listeners, proxy their controls
+    setupInjectedCardProxy(container);
+
+    if (saved) {
+      log(`Restoring scroll position ${saved.scrollY} with ${saved.count} cards`);
+      window.requestAnimationFrame(() => window.scrollTo(0, saved.scrollY));
+    }
+
+    log(`Replaced ${products.length} products on current page, ${listRenderer.getRenderedCount()} rendered`);
+  }
+
+  // Filters for the merged global list, kept while the list is shown
+  let activeFilters = {};
+
+  /**
+   * Check a number against an optional min/max range
+   * @param {number|null} value - Value to check, null fails any set bound
+   * @param {number|null} min - Lower bound, or null for none
+   * @param {number|null} max - Upper bound, or null for none
+   * @returns {boolean} True if the value is within the range
+   */
+  function inRange(value, min, max) {
+    if (min === null && max === null) return true;
+    if (value === null || value === undefined) return false;
+    return (min === null || value >= min) && (max === null || value <= max);
+  }
+
+  /**
+   * Check if a product passes the active filters
+   * @param {Object} product - Product record
+   * @param {Object} filters - Filter values from the filter bar
+   * @returns {boolean} True if the product should be shown
+   */
+  function matchesFilters(product, filters) {
+    if (filters.withUnitPrice && product.unitPrice === null) return false;
+    if (filters.onSale && !isOnSale(product)) return false;
+    if (filters.brand && product.brand !== filters.brand) return false;
+    if (!inRange(product.unitPrice ? product.unitPrice.value : null, filters.unitPriceMin, filters.unitPriceMax)) return false;
+    if (!inRange(product.price, filters.priceMin, filters.priceMax)) return false;
+    if (!inRange(product.size ? product.size.value : null, filters.sizeMin, filters.sizeMax)) return false;
+
+    if (filters.text) {
+      const name = product.name.toLocaleLowerCase('hr');
+      if (!filters.text.split(/\s+/).every(word => name.includes(word))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Show or hide cards of the merged list according to the active filters
+   * @returns {number} Number of products shown
+   */
+  function applyFilters() {
+    let shown = 0;
+    allProductsData.forEach(product => {
+      const visible = matchesFilters(product, activeFilters);
+      // Cards not rendered yet are filtered when they are
+      if (product.element) product.element.classList.toggle('konzum-filtered-out', !visible);
+      if (visible) shown++;
+    });
+
+    const count = document.querySelector('.konzum-filter-count');
+    if (count) count.textContent = `Prikazano ${shown} od ${allProductsData.length}`;
+    updateControlPanel();
+
+    // Hidden cards may have brought the end of the rendered list into view
+    listRenderer.check();
+
+    log(`Filters applied, ${shown} of ${allProductsData.length} products shown`);
+    return shown;
+  }
+
+  /**
+   * Read the filter bar inputs into a filter object
+   * @param {HTMLElement} bar - The filter bar
+   * @returns {Object} Filter values; empty number inputs become null
+   */
+  function readFilterBar(bar) {
+    const number = (name) => {
+      const value = bar.querySelector(`[name="${name}"]`).value.trim().replace(',', '.');
+      return value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value);
+    };
+
+    return {
+      text: bar.querySelector('[name="text"]').value.trim().toLocaleLowerCase('hr'),
+      unitPriceMin: number('unitPriceMin'),
+      unitPriceMax: number('unitPriceMax'),
+      priceMin: number('priceMin'),
+      priceMax: number('priceMax'),
+      sizeMin: number('sizeMin'),
+      sizeMax: number('sizeMax'),
+      brand: bar.querySelector('[name="brand"]').value,
+      withUnitPrice: bar.querySelector('[name="withUnitPrice"]').checked,
+      onSale: bar.querySelector('[name="onSale"]').checked
+    };
+  }
+
+  /**
+   * Show the filter bar above the merged global list
+   * Filters work on the records in allProductsData, nothing is refetched
+   * @param {HTMLElement} container - Product list container
+   */
+  function showFilterBar(container) {
+    let bar = document.querySelector('.konzum-filter-bar');
+    if (!bar) {
+      bar = document.createElement('form');
+      bar.className = 'konzum-filter-bar';
+      bar.innerHTML = `
+        <input type="search" name="text" placeholder="Traži po nazivu">
+        <span class="konzum-filter-range">Cijena za j.m. €
+          <input type="text" inputmode="decimal" name="unitPriceMin" placeholder="od">
+          <input type="text" inputmode="decimal" name="unitPriceMax" placeholder="do">
+        </span>
+        <span class="konzum-filter-range">Cijena €
+          <input type="text" inputmode="decimal" name="priceMin" placeholder="od">
+          <input type="text" inputmode="decimal" name="priceMax" placeholder="do">
+        </span>
+        <span class="konzum-filter-range">Pakiranje (kg, l, kom)
+          <input type="text" inputmode="decimal" name="sizeMin" placeholder="od">
+          <input type="text" inputmode="decimal" name="sizeMax" placeholder="do">
+        </span>
+        <select name="brand"><option value="">Sve marke</option></select>
+        <label><input type="checkbox" name="withUnitPrice"> Samo s cijenom za j.m.</label>
+        <label><input type="checkbox" name="onSale"> Samo akcija</label>
+        <button type="reset">Očisti</button>
+        <span class="konzum-filter-count"></span>
+      `;
+
+      let timer = null;
+      const update = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          activeFilters = readFilterBar(bar);
+          applyFilters();
+        }, 150);
+      };
+      bar.addEventListener('input', update);
+      bar.addEventListener('change', update);
+      bar.addEventListener('reset', () => setTimeout(update));
+      bar.addEventListener('submit', (e) => e.preventDefault());
+
+      container.parentElement.insertBefore(bar, container);
+    }
+
+    // Brands come from the current list
+    const brandSelect = bar.querySelector('[name="brand"]');
+    const brands = Array.from(new Set(allProductsData.map(p => p.brand).filter(Boolean))).sort(nameCollator.compare);
+    brandSelect.length = 1;
+    brands.forEach(brand => brandSelect.appendChild(new Option(brand, brand)));
+    brandSelect.value = brands.includes(activeFilters.brand) ? activeFilters.brand : '';
+    brandSelect.hidden = brands.length === 0;
+
+    activeFilters = readFilterBar(bar);
+    applyFilters();
+  }
+
+  /**
+   * Remove the filter bar and show every card again
+   */
+  function hideFilterBar() {
+    const bar = document.querySelector('.konzum-filter-bar');
+    if (bar) bar.remove();
+    activeFilters = {};
+    document.querySelectorAll('.konzum-filtered-out').forEach(card => card.classList.remove('konzum-filtered-out'));
+  }
+
+  /**
+   * Get the site's CSRF token used for same-origin POST requests
+   * @returns {string|null} Token from the csrf-token meta tag, or null if missing
+   */
+  function getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.getAttribute('content') : null;
+  }
+
+  /**
+   * Submit a form from an injected card through fetch instead of a full page load
+   * Uses the form's own action, method and fields so the site handles it as usual
+   * @param {HTMLFormElement} form - Form inside an injected card
+   * @param {HTMLElement|null} submitter - Button that submitted the form
+   */
+  async function submitInjectedForm(form, submitter) {
+    const formData = new FormData(form);
+    if (submitter && submitter.name) {
+      formData.append(submitter.name, submitter.value);
+    }
+
+    const method = (form.getAttribute('method') || 'get').toUpperCase();
+    const action = form.getAttribute('action') || window.location.href;
+    const headers = { 'X-Requested-With': 'XMLHttpRequest' };
+    const csrfToken = getCsrfToken();
+    if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
 
-    // Combine sorted with price + unsorted
-    const sortedAll = [...withPrice, ...withoutPrice];
+    log(`Proxying form submit: ${method} ${action}`);
 
-    // Display ALL products on one page
-    replaceCurrentPageProducts(sortedAll);
+    try {
+      let response;
+      if (method === 'GET') {
+        const url = new URL(action, window.location.href);
+        formData.forEach((value, key) => url.searchParams.append(key, value));
+        response = await fetch(url.toString(), { headers: headers, credentials: 'same-origin' });
+      } else {
+        response = await fetch(action, { method: method, body: formData, headers: headers, credentials: 'same-origin' });
+      }
 
-    // Hide pagination since we're showing everything
-    hidePagination();
+      if (!await isAcceptedResponse(response)) throw new Error(`Not accepted: HTTP ${response.status} ${response.url || ''}`);
 
-    // Show success message
-    const direction = ascending ? 'najniža → najviša' : 'najviša → najniža';
-    showNotification(`Prikazano svih ${allProductsData.length} proizvoda sortirano po cijeni za j.m.: ${direction}`);
+      const isCart = /ko[sš]aric|cart/i.test(action) || /ko[sš]aric/i.test(submitter?.textContent || '');
+      showNotification(isCart ? 'Dodano u košaricu' : 'Spremljeno');
+    } catch (error) {
+      log('Error proxying form submit:', error);
+      showNotification('Radnja nije uspjela, otvaram proizvod...');
+      openInjectedProduct(form.closest('[data-konzum-injected]'));
+    }
   }
 
-  // Hide pagination controls
-  function hidePagination() {
-    const paginationElements = document.querySelectorAll('.pagination, [class*="pagination"], [class*="Pagination"]');
-    paginationElements.forEach(elem => {
-      elem.style.display = 'none';
-    });
-    log('Pagination hidden');
+  /**
+   * Check that the site accepted a proxied form
+   * A sign-in page comes back with status 200 too, and JSON answers can report an error.
+   * @param {Response} response - Response to the form
+   * @returns {Promise<boolean>} True if the site confirmed the action
+   */
+  async function isAcceptedResponse(response) {
+    if (!response.ok) return false;
+    if (response.redirected && response.url && /^\/web\/(users|sign_in|login)/.test(new URL(response.url).pathname)) return false;
+
+    const type = response.headers ? response.headers.get('content-type') || '' : '';
+    if (!type.includes('json')) return true;
+
+    const body = await response.json().catch(() => null);
+    return Boolean(body) && body.success !== false && !body.error && !(body.errors && body.errors.length > 0);
   }
 
-  // Get current page number from URL or pagination
-  function getCurrentPageNumber() {
-    const params = new URLSearchParams(window.location.search);
-    const pageParam = params.get('page');
-    if (pageParam) return parseInt(pageParam);
+  /**
+   * Change the quantity input next to a stepper button
+   * @param {HTMLElement} button - The "+" or "-" button
+   * @param {number} delta - Amount to add to the current quantity
+   * @returns {boolean} True if a quantity input was found and updated
+   */
+  function stepInjectedQuantity(button, delta) {
+    const scope = button.closest('form, [class*="quantity"], [class*="qty"], [class*="stepper"]') ||
+      button.closest('[data-konzum-injected]');
+    const input = scope && scope.querySelector('input[type="number"], input[name*="quantity"], input[name*="qty"]');
+    if (!input) return false;
+
+    const min = input.min !== '' ? parseFloat(input.min) : 1;
+    const max = input.max !== '' ? parseFloat(input.max) : Infinity;
+    const step = parseFloat(input.step) || 1;
+    const current = parseFloat(String(input.value).replace(',', '.')) || min;
+    const next = Math.min(max, Math.max(min, current + delta * step));
+
+    input.value = String(next);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
 
-    // Try to find from pagination
-    const activePage = document.querySelector('.pagination .active, [class*="pagination"] .active, [class*="page"].active');
-    if (activePage) {
-      const match = activePage.textContent.match(/\d+/);
-      if (match) return parseInt(match[0]);
-    }
+  /**
+   * Open the product page of an injected card, used when a control can't be proxied
+   * @param {HTMLElement|null} card - Injected product card
+   */
+  function openInjectedProduct(card) {
+    const link = card && card.querySelector('a[href*="/web/products/"]');
+    if (link) window.location.href = link.href;
+  }
 
-    return 1;
+  /**
+   * Determine if a button is a quantity stepper and in which direction
+   * @param {HTMLElement} button - Clicked button
+   * @returns {number} 1 for increase, -1 for decrease, 0 if not a stepper
+   */
+  function getStepperDelta(button) {
+    const text = button.textContent.trim();
+    const hint = `${button.className} ${button.getAttribute('aria-label') || ''} ${button.getAttribute('data-action') || ''}`;
+    if (text === '+' || /plus|increase|increment|povecaj|povećaj/i.test(hint)) return 1;
+    if (text === '-' || text === '−' || /minus|decrease|decrement|smanji/i.test(hint)) return -1;
+    return 0;
   }
 
-  // Replace products on current page
-  function replaceCurrentPageProducts(products) {
-    const container = document.querySelector('.product-list, [class*="product-list"]');
-    if (!container) {
-      log('ERROR: Container not found');
-      return;
-    }
+  /**
+   * Make controls on injected cards work by proxying them to equivalent actions:
+   * forms (add to cart, favourites) submitted by a submit button are sent via fetch,
+   * Rails-style links with data-method are sent as forms and quantity steppers
+   * update their input. Other clicks are left alone, so a button meant for a
+   * script of the site never submits the form it sits in.
+   * @param {HTMLElement} container - Product list container
+   */
+  function setupInjectedCardProxy(container) {
+    if (container.hasAttribute('data-konzum-proxy')) return;
+    container.setAttribute('data-konzum-proxy', 'true');
+
+    container.addEventListener('submit', (e) => {
+      const form = e.target;
+      if (!form.closest('[data-konzum-injected]')) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      submitInjectedForm(form, e.submitter || null);
+    }, true);
+
+    container.addEventListener('click', (e) => {
+      const control = e.target.closest('button, [role="button"], a[data-method], a[href="#"]');
+      if (!control) return;
+
+      const card = control.closest('[data-konzum-injected]');
+      if (!card) return;
+
+      const delta = getStepperDelta(control);
+      if (delta !== 0) {
+        e.preventDefault();
+        stepInjectedQuantity(control, delta);
+        return;
+      }
 
-    // Remove existing products
-    const existingCards = container.querySelectorAll('article.product-item');
-    existingCards.forEach(card => card.remove());
+      // Submit buttons are handled by the submit listener above
+      const form = control.closest('form');
+      if (form && control.tagName === 'BUTTON' && control.type !== 'button') return;
+
+      // Rails-style links (e.g. favourites) carry their method in data-method
+      const method = control.getAttribute('data-method');
+      if (method && control.getAttribute('href') && control.getAttribute('href') !== '#') {
+        e.preventDefault();
+        const proxyForm = document.createElement('form');
+        proxyForm.setAttribute('action', control.getAttribute('href'));
+        proxyForm.setAttribute('method', method.toLowerCase() === 'get' ? 'get' : 'post');
+        if (!/^(get|post)$/i.test(method)) {
+          const methodInput = document.createElement('input');
+          methodInput.type = 'hidden';
+          methodInput.name = '_method';
+          methodInput.value = method.toLowerCase();
+          proxyForm.appendChild(methodInput);
+        }
+        card.appendChild(proxyForm);
+        submitInjectedForm(proxyForm, control).finally(() => proxyForm.remove());
+        return;
+      }
 
-    // Add new sorted products
-    products.forEach(product => {
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = product.html;
-      const newCard = tempDiv.firstElementChild;
-      container.appendChild(newCard);
-    });
+      log('No proxy for control on injected card, leaving the click alone');
+    }, true);
 
-    log(`Replaced ${products.length} products on current page`);
+    log('✓ Proxy for injected card controls set up');
   }
 
   /**
    * Sort products by unit price on the current page only
    * Uses CSS flexbox order property to reorder elements
    * @param {boolean} ascending - True for ascending sort, false for descending
+   * @param {string} [primaryKey='unitPrice'] - Key to sort by first, one of SORT_KEYS
    */
-  function sortByUnitPrice(ascending = true) {
-    log(`Starting LOCAL sort: ${ascending ? 'ascending' : 'descending'}`);
+  function sortByUnitPrice(ascending = true, primaryKey = 'unitPrice') {
+    log(`Starting LOCAL sort by ${primaryKey}: ${ascending ? 'ascending' : 'descending'}`);
+    sortEngine.stop();
+    takeListingSnapshot();
 
     // Store sort state
-    currentSortState = { ascending: ascending, global: false };
+    currentSortState = { ascending: ascending, global: false, primaryKey: primaryKey };
+    updateSortControls();
 
-    const cards = getProductCards();
+    const cards = getListingCards();
+    log(`Found ${cards.length} product cards`);
     if (cards.length === 0) {
       log('ERROR: No product cards found to sort!');
       alert('Nije pronađeno proizvoda za sortiranje. Osvježite stranicu i pokušajte ponovno.');
@@ -468,38 +1485,34 @@
 
     // Extract products with their unit prices
     const products = cards.map((card, index) => {
-      const unitPrice = extractUnitPrice(card);
-      if (unitPrice === null) {
+      const fields = parseProductCard(card);
+      if (fields.unitPrice === null) {
         log(`Product ${index + 1}: NO UNIT PRICE`);
       } else {
-        log(`Product ${index + 1}: ${unitPrice} €`);
+        log(`Product ${index + 1}: ${fields.unitPrice.value} ${formatUnit(fields.unitPrice.unit)}`);
       }
       return {
         element: card,
-        unitPrice: unitPrice,
+        ...fields,
         originalIndex: index
       };
     });
 
+    annotateCards(products);
+
     // Log products without unit prices
     const withoutPrice = products.filter(p => p.unitPrice === null);
     if (withoutPrice.length > 0) {
-      log(`WARNING: ${withoutPrice.length} products without unit price (will be placed at end)`);
+      log(`WARNING: ${withoutPrice.length} products without unit price (will be placed at ${settings.unpricedPlacement})`);
     }
 
     // Count products with prices
     const withPrice = products.filter(p => p.unitPrice !== null);
     log(`${withPrice.length} products have unit prices and will be sorted`);
 
-    // Sort products
-    products.sort((a, b) => {
-      // Products without unit price go to the end
-      if (a.unitPrice === null && b.unitPrice === null) return 0;
-      if (a.unitPrice === null) return 1;
-      if (b.unitPrice === null) return -1;
-
-      return ascending ? a.unitPrice - b.unitPrice : b.unitPrice - a.unitPrice;
-    });
+    // Sort products by the sort spec; unit prices are grouped by unit
+    const spec = buildSortSpec(ascending, primaryKey, settings.secondarySort);
+    products.sort((a, b) => compareProducts(a, b, spec, getSortOptions()));
 
     // Apply CSS order to each product using multiple methods
     const cssRules = [];
@@ -532,13 +1545,13 @@
 
       // Also add data attributes
       element.setAttribute('data-sort-order', newIndex);
-      element.setAttribute('data-unit-price', product.unitPrice || 'none');
+      element.setAttribute('data-unit-price', product.unitPrice ? product.unitPrice.value : 'none');
 
       // Create CSS rule for this element
       cssRules.push(`.${sortClass} { order: ${newIndex} !important; }`);
 
       if (newIndex < 3) {
-        log(`Set product ${product.originalIndex + 1} (${product.unitPrice}€) to order: ${newIndex}`);
+        log(`Set product ${product.originalIndex + 1} (${product.unitPrice ? product.unitPrice.value + ' ' + formatUnit(product.unitPrice.unit) : 'none'}) to order: ${newIndex}`);
       }
     });
 
@@ -547,14 +1560,16 @@
 
     log(`✓ Applied order to ${products.length} products`);
 
-    // Set up aggressive re-application interval
-    setupSortMaintainer(container);
+    // Keep the order while the site re-renders the listing
+    sortEngine.watch(container);
+    updateControlPanel();
 
     log(`✓ Sorted ${products.length} products by unit price (${ascending ? 'ascending' : 'descending'})`);
 
     // Show feedback to user
-    const direction = ascending ? 'najniža → najviša' : 'najviša → najniža';
-    const message = `Sortirano po cijeni za j.m.: ${direction}`;
+    const groups = summarizeUnitGroups(withPrice);
+    const unparsed = reportParseErrors(products);
+    const message = `Sortirano ${describeSortSpec(spec)}${groups ? ` (${groups})` : ''}${describeParseErrors(unparsed)}`;
     showNotification(message);
   }
 
@@ -575,270 +1590,838 @@
     log('✓ Injected CSS sort styles');
   }
 
-  // Set up interval to continuously re-apply sort order
-  let sortMaintainerInterval = null;
-  let containerObserver = null;
+  /**
+   * Re-apply the active sort, e.g. after the site re-rendered the listing
+   * Global sorts are served from the session cache when the listing hasn't changed
+   */
+  function reapplyCurrentSort() {
+    if (!currentSortState) return;
 
-  function setupSortMaintainer(container) {
-    // Clear existing interval
-    if (sortMaintainerInterval) {
-      clearInterval(sortMaintainerInterval);
+    if (currentSortState.global) {
+      sortByUnitPriceGlobally(currentSortState.ascending, currentSortState.primaryKey);
+    } else {
+      sortByUnitPrice(currentSortState.ascending, currentSortState.primaryKey);
     }
+  }
 
-    // Clear existing observer
-    if (containerObserver) {
-      containerObserver.disconnect();
+  /**
+   * Record the listing before the first sort changes it
+   * Kept across re-sorts, so undo always goes back to the site's own order
+   */
+  function takeListingSnapshot() {
+    if (listingSnapshot && listingSnapshot.isConnected()) return;
+
+    const cards = getListingCards().filter(card => !card.hasAttribute('data-konzum-injected'));
+    const parents = new Set(cards.map(card => card.parentElement).filter(Boolean));
+    const container = getProductListContainer();
+    if (container) parents.add(container);
+    if (parents.size === 0) return;
+
+    listingSnapshot = snapshotListing(Array.from(parents), getPaginationElements(), {
+      isOwn: node => node.nodeType === Node.ELEMENT_NODE &&
+        (node.hasAttribute('data-konzum-injected') || node.classList.contains('konzum-filter-bar'))
+    });
+    log(`Snapshot of ${cards.length} cards taken`);
+  }
+
+  /**
+   * Undo the sort: put back the original cards, their order and styles, the
+   * container's layout and the pagination, and remove everything the sort added
+   */
+  function restoreListing() {
+    sortEngine.stop();
+    hideFilterBar();
+
+    const style = document.getElementById('konzum-sort-styles');
+    if (style) style.remove();
+
+    // Cards of the current page not rendered yet go back in, so the snapshot can put them in place
+    listRenderer.stop();
+    const container = getProductListContainer();
+    if (mergedProducts && container) {
+      mergedProducts.forEach(product => {
+        const card = product.element;
+        if (card && !card.isConnected && !card.hasAttribute('data-konzum-injected')) container.appendChild(card);
+      });
+    }
+    mergedProducts = null;
+    mergedRanks = new Map();
+    mergedHistories = Promise.resolve(null);
+
+    if (listingSnapshot) {
+      listingSnapshot.restore();
+      listingSnapshot = null;
+      log('Original listing restored');
     }
 
-    // Watch for DOM changes in the container (re-renders)
-    containerObserver = new MutationObserver((mutations) => {
-      if (!currentSortState) return;
+    // Badges ranked the sorted list, rank the page's own cards again
+    document.querySelectorAll('.konzum-unit-tag').forEach(tag => tag.remove());
+    allProductsData = [];
+    // Added again after the badges, so the cards end up as they were before the sort
+    document.querySelectorAll('.konzum-watch').forEach(block => block.remove());
+    if (settings.unitBadges) {
+      annotateCards();
+    } else {
+      markWatchOnCards(parsePageCards());
+    }
+  }
 
-      for (let mutation of mutations) {
-        // Check if child nodes were added/removed (re-render)
-        if (mutation.type === 'childList' && (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)) {
-          log('Container children changed (re-render detected), re-sorting...');
-          // Small delay to let the framework finish rendering
-          setTimeout(() => {
-            if (currentSortState) {
-              sortByUnitPrice(currentSortState.ascending);
-            }
-          }, 50);
-          break;
-        }
+  /**
+   * Stop the active unit price sort after another sort was chosen
+   * The site's own order is restored before the site applies its sort
+   */
+  function stopSorting() {
+    abortGlobalFetch();
+    currentSortState = null;
+    restoreListing();
+    forgetSort();
+  }
+
+  /**
+   * Show a temporary notification message to the user
+   * @param {string} message - The message to display
+   */
+  function showNotification(message) {
+    if (!settings.notifications) return;
+
+    const notification = document.createElement('div');
+    notification.textContent = message;
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      background: #4CAF50;
+      color: white;
+      padding: 15px 20px;
+      border-radius: 5px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.2);
+      z-index: 10000;
+      font-family: Arial, sans-serif;
+      font-size: 14px;
+      animation: slideIn 0.3s ease;
+    `;
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+      notification.style.animation = 'slideOut 0.3s ease';
+      setTimeout(() => notification.remove(), 300);
+    }, settings.notificationDuration);
+  }
+
+  /**
+   * Get the dropdown value of a sort: the unit price options, or one of the other keys
+   * @param {boolean} ascending - True for ascending sort, false for descending
+   * @param {string} [primaryKey='unitPrice'] - Key sorted by first, one of SORT_KEYS
+   * @returns {string} Option value, e.g. "unit-price-asc" or "konzum-size-desc"
+   */
+  function getDropdownValue(ascending, primaryKey = 'unitPrice') {
+    const dir = ascending ? 'asc' : 'desc';
+    // Sorts by the amount in "Trebam:" show as the unit price sort they fall back to
+    if (!SORT_KEYS[primaryKey] || primaryKey === 'unitPrice' || SORT_KEYS[primaryKey].needsAmount) return `unit-price-${dir}`;
+    return `konzum-${primaryKey}-${dir}`;
+  }
+
+  /**
+   * Read one of our sorts from a dropdown value
+   * @param {string} value - Option value
+   * @returns {{ascending: boolean, primaryKey: string}|null} Sort, or null for the site's own sorts
+   */
+  function parseDropdownValue(value) {
+    if (value === 'unit-price-asc' || value === 'unit-price-desc') {
+      return { ascending: value === 'unit-price-asc', primaryKey: 'unitPrice' };
+    }
+    const match = /^konzum-(\w+)-(asc|desc)$/.exec(value);
+    if (!match || !SORT_KEYS[match[1]] || SORT_KEYS[match[1]].needsAmount) return null;
+    return { ascending: match[2] === 'asc', primaryKey: match[1] };
+  }
+
+  // Add custom sorting option
+  function addSortingOption() {
+    log('Attempting to add sorting option...');
+
+    pageType = detectPageType(window.location.href, document);
+    if (!pageType) {
+      log('No product listing on this page');
+      return;
+    }
+    log(`Page type: ${pageType.name}`);
+
+    // Badges show even before sorting; an active sort keeps them up to date itself
+    if (!currentSortState) {
+      if (settings.unitBadges) {
+        annotateCards();
+      } else {
+        const products = parsePageCards();
+        markWatchOnCards(products);
+        trackPriceHistory(products);
+      }
+    }
+
+    // Other selects (quantities in the cart) can look like a sort dropdown
+    const dropdown = hasFeature('siteSort') ? findSortingDropdown() : null;
+    if (!dropdown) {
+      log('Sorting dropdown not found, adding custom button');
+      addCustomSortButton();
+      return;
+    }
+
+    // Check if option already exists
+    const existingOptions = Array.from(dropdown.options);
+    const alreadyExists = existingOptions.some(opt => opt.textContent.includes('j.m.'));
+
+    if (!alreadyExists) {
+      // Remember the site's sort so resetting can select it again
+      originalSortValue = dropdown.value;
+
+      // Add new options at the beginning (after the first option if it exists)
+      const optionAsc = document.createElement('option');
+      optionAsc.value = 'unit-price-asc';
+      optionAsc.textContent = 'Cijena za j.m. uzlazno';
+
+      const optionDesc = document.createElement('option');
+      optionDesc.value = 'unit-price-desc';
+      optionDesc.textContent = 'Cijena za j.m. silazno';
+
+      // The other keys sort the same way, all pages included, with the unit price as a fallback
+      const otherKeys = document.createElement('optgroup');
+      otherKeys.label = 'Ostali ključevi sortiranja';
+      Object.entries(SORT_KEYS).forEach(([key, { label, needsAmount }]) => {
+        if (key === 'unitPrice' || needsAmount) return;
+        otherKeys.appendChild(new Option(`${label} uzlazno`, getDropdownValue(true, key)));
+        otherKeys.appendChild(new Option(`${label} silazno`, getDropdownValue(false, key)));
+      });
+
+      // Insert at the beginning (positions 0 and 1)
+      if (dropdown.options.length > 0) {
+        dropdown.insertBefore(optionAsc, dropdown.options[0]);
+        dropdown.insertBefore(optionDesc, dropdown.options[1]);
+      } else {
+        dropdown.appendChild(optionAsc);
+        dropdown.appendChild(optionDesc);
+      }
+      dropdown.insertBefore(otherKeys, optionDesc.nextSibling);
+
+      log('✓ Unit price sorting options added to dropdown at the top');
+    } else {
+      log('Unit price sorting options already exist');
+    }
+
+    // Check if one of our custom sorts is already selected (from previous page visit)
+    const selectedSort = parseDropdownValue(dropdown.value);
+    if (currentSortState) {
+      log('Unit price sort already active');
+    } else if (selectedSort) {
+      log(`Custom sort already selected on page load (${dropdown.value}), applying...`);
+      applyUnitPriceSort(selectedSort.ascending, selectedSort.primaryKey);
+    } else if (savedSort) {
+      log(`Re-applying remembered sort (${savedSort.ascending ? 'ascending' : 'descending'})`);
+      // A sort by the "Trebam:" amount isn't in the dropdown, it comes back as the unit price sort.
+      // Read from the value rather than the dropdown, which lacks our options if the site has its own
+      const value = getDropdownValue(savedSort.ascending, savedSort.primaryKey);
+      dropdown.value = value;
+      applyUnitPriceSort(savedSort.ascending, parseDropdownValue(value).primaryKey);
+    } else if (settings.autoApply) {
+      log('Auto-applying unit price sort');
+      dropdown.value = settings.defaultDirection === 'desc' ? 'unit-price-desc' : 'unit-price-asc';
+      applyUnitPriceSort(settings.defaultDirection !== 'desc');
+    }
+
+    // Listen only once, addSortingOption runs again after page changes
+    if (dropdown.hasAttribute('data-konzum-sorter')) return;
+    dropdown.setAttribute('data-konzum-sorter', 'true');
+
+    dropdown.addEventListener('change', function(e) {
+      const value = e.target.value;
+      log(`Dropdown changed to: ${value}`);
+      const sort = parseDropdownValue(value);
+      if (sort) {
+        rememberSort(sort.ascending, sort.primaryKey);
+        applyUnitPriceSort(sort.ascending, sort.primaryKey);
+      } else {
+        // User selected a different sort, clear our custom sort state
+        originalSortValue = value;
+        stopSorting();
       }
     });
 
-    // Observe the container for child list changes
-    containerObserver.observe(container, {
-      childList: true,
-      subtree: false
-    });
+    addSecondarySortControl(dropdown.parentElement, dropdown.nextSibling);
+    addNeedControl(dropdown.parentElement, dropdown.nextSibling);
+    addExportControl(dropdown.parentElement, dropdown.nextSibling);
+    addResetControl(dropdown.parentElement, dropdown.nextSibling);
+  }
+
+  /**
+   * Get the key a remembered sort is stored under: the whole site, or the
+   * category path (plus search query on search pages)
+   * @returns {string} Saved sort key
+   */
+  function getSavedSortKey() {
+    if (settings.rememberSort !== 'category') return 'site';
+
+    const query = new URLSearchParams(window.location.search).get('q');
+    return query ? `${window.location.pathname}?q=${query}` : window.location.pathname;
+  }
+
+  /**
+   * Remember the chosen unit price sort so it's re-applied on the next listing
+   * @param {boolean} ascending - True for ascending sort, false for descending
+   * @param {string} [primaryKey='unitPrice'] - Key sorted by first, one of SORT_KEYS
+   */
+  function rememberSort(ascending, primaryKey = 'unitPrice') {
+    if (settings.rememberSort === 'off') return;
+    if (savedSort && savedSort.ascending === ascending && savedSort.primaryKey === primaryKey) return;
+
+    savedSort = { ascending: ascending, primaryKey: primaryKey };
+    saveSavedSort(getSavedSortKey(), savedSort).catch(error => log('Could not save sort:', error));
+    updateSortControls();
+  }
+
+  /**
+   * Forget the remembered sort
+   * @returns {Promise<void>} Resolves once storage is updated
+   */
+  function forgetSort() {
+    savedSort = null;
+    updateSortControls();
+    return saveSavedSort(getSavedSortKey(), null).catch(error => log('Could not clear saved sort:', error));
+  }
+
+  /**
+   * Forget the remembered sort and go back to the site's own order
+   */
+  function resetSort() {
+    log('Resetting unit price sort');
+
+    currentSortState = null;
+    abortGlobalFetch();
+    restoreListing();
+    forgetSort();
+
+    // Show the site's own sort again in the dropdown
+    const dropdown = findSortingDropdown();
+    if (dropdown && originalSortValue !== null) {
+      dropdown.value = originalSortValue;
+    }
+  }
+
+  /**
+   * Add the "reset" control that clears the remembered sort
+   * @param {HTMLElement} parent - Element to add the control to
+   * @param {Node|null} [before] - Insert before this node, or append if omitted
+   */
+  function addResetControl(parent, before = null) {
+    if (!parent || parent.querySelector('.konzum-sort-reset')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'konzum-sort-reset';
+    button.textContent = '✕ Poništi sortiranje po j.m.';
+    button.title = 'Vrati redoslijed stranice i zaboravi odabrano sortiranje';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      resetSort();
+    });
+
+    parent.insertBefore(button, before);
+    updateResetControl();
+  }
+
+  /**
+   * Show the reset control only while a unit price sort is active or remembered
+   */
+  function updateResetControl() {
+    const visible = currentSortState !== null || savedSort !== null;
+    document.querySelectorAll('.konzum-sort-reset').forEach(button => {
+      button.hidden = !visible;
+    });
+  }
+
+  /**
+   * Get the products as currently shown: in sort order, without filtered out cards
+   * The merged list of all pages is read from its records, including cards not rendered yet
+   * @returns {Array<Object>} Product records
+   */
+  function getDisplayedProducts() {
+    if (mergedProducts) return mergedProducts.filter(product => matchesFilters(product, activeFilters));
+
+    const recordsByCard = new Map();
+    allProductsData.forEach(product => {
+      if (product.element) recordsByCard.set(product.element, product);
+    });
+
+    const page = getCurrentPageNumber();
+    const cards = getListingCards().filter(card => !card.classList.contains('konzum-filtered-out'));
+    const position = card => {
+      const order = card.getAttribute('data-sort-order');
+      return order === null ? Infinity : Number(order);
+    };
+
+    // Sorted cards are placed by their CSS order, not their place in the document
+    return cards
+      .map((card, index) => ({ card, index }))
+      .sort((a, b) => position(a.card) - position(b.card) || a.index - b.index)
+      .map(({ card }) => recordsByCard.get(card) || toProductRecord(card, page, true));
+  }
+
+  /**
+   * Download text as a file
+   * @param {string} text - File contents
+   * @param {string} fileName - Name of the downloaded file
+   * @param {string} type - MIME type
+   */
+  function downloadFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before freeing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Download the displayed product list as CSV or JSON
+   * @param {string} format - 'csv' or 'json'
+   */
+  function exportProducts(format) {
+    const products = getDisplayedProducts();
+    if (products.length === 0) {
+      showNotification('Nema proizvoda za izvoz');
+      return;
+    }
+
+    const now = new Date();
+    const rows = toExportRows(products, { baseUrl: window.location.href, now: now.getTime() });
+    const fileName = getExportFileName(window.location.href, format, now);
+
+    if (format === 'json') {
+      const meta = {
+        source: window.location.href,
+        exportedAt: now.toISOString(),
+        sort: currentSortState
+          ? describeSortSpec(buildSortSpec(currentSortState.ascending, currentSortState.primaryKey, settings.secondarySort))
+          : null
+      };
+      downloadFile(toJson(rows, meta), fileName, 'application/json');
+    } else {
+      downloadFile(toCsv(rows, { delimiter: settings.exportDelimiter }), fileName, 'text/csv;charset=utf-8');
+    }
+
+    log(`Exported ${rows.length} products to ${fileName}`);
+    showNotification(`Izvezeno ${rows.length} proizvoda (${format.toUpperCase()})`);
+  }
+
+  /**
+   * Add the "Izvezi" control that downloads the displayed list as CSV or JSON
+   * @param {HTMLElement} parent - Element to add the control to
+   * @param {Node|null} [before] - Insert before this node, or append if omitted
+   */
+  function addExportControl(parent, before = null) {
+    if (!parent || !hasFeature('export') || parent.querySelector('.konzum-export')) return;
+
+    const wrapper = document.createElement('span');
+    wrapper.className = 'konzum-export';
+    wrapper.appendChild(document.createTextNode('Izvezi: '));
+
+    [['csv', 'CSV'], ['json', 'JSON']].forEach(([format, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = `Preuzmi prikazane proizvode kao ${label}`;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        exportProducts(format);
+      });
+      wrapper.appendChild(button);
+    });
+
+    parent.insertBefore(wrapper, before);
+  }
+
+  // Cards of Konzum's search results, where substitutes for cart lines are looked up
+  const SEARCH_LAYOUT = PAGE_TYPES.find(type => type.name === 'search').layout;
+
+  // Aborts the substitute search of the basket optimizer
+  let basketController = null;
+
+  /**
+   * Show the substitutes found for a cart line inside its row
+   * @param {HTMLElement} card - Cart line element
+   * @param {Array<Substitute>} substitutes - Substitutes from findSubstitutes, cheapest first
+   */
+  function markSubstitutesOnCard(card, substitutes) {
+    let panel = card.querySelector('.konzum-substitutes');
+    if (substitutes.length === 0) {
+      if (panel) panel.remove();
+      return;
+    }
+
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.className = 'konzum-substitutes';
+      card.appendChild(panel);
+    }
+
+    const title = document.createElement('strong');
+    title.textContent = 'Jeftinije po jedinici:';
+
+    const list = document.createElement('ul');
+    substitutes.forEach(({ product, percentCheaper, saving }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = product.url;
+      link.textContent = product.name;
+
+      const details = document.createElement('span');
+      details.className = 'konzum-substitute-details';
+      details.textContent = ` ${product.unitPrice.value.toFixed(2).replace('.', ',')} ${formatUnit(product.unitPrice.unit)} · −${percentCheaper}%` +
+        (saving !== null ? ` · ušteda ${formatEuro(saving)}` : '');
+
+      item.append(link, details);
+      list.appendChild(item);
+    });
+    panel.replaceChildren(title, list);
+  }
+
+  /**
+   * Look up cheaper-per-unit substitutes for every cart line on Konzum's search
+   * Lines are searched in parallel (bounded by FETCH_CONCURRENCY); each line
+   * shows its substitutes as soon as they're found, the total saving at the end.
+   * @returns {Promise<void>} Resolves once all lines are searched
+   */
+  async function optimizeBasket() {
+    abortBasketSearch();
+
+    const lines = getListingCards()
+      .map(card => {
+        const product = parseProductCard(card);
+        const quantity = readCartQuantity(card);
+        return { card: card, product: { ...product, unitPrice: getLineUnitPrice(product, quantity) }, quantity: quantity };
+      })
+      .filter(line => line.product.unitPrice);
+    if (lines.length === 0) {
+      showNotification('Nijedna stavka u košarici nema cijenu za j.m.');
+      return;
+    }
+
+    // Created only once there is something to search, so nothing is left to abort otherwise
+    const controller = new AbortController();
+    basketController = controller;
+
+    const queue = lines.slice();
+    const results = [];
+    showProgress(`Tražim jeftinije zamjene: 0 od ${lines.length} stavki`);
+
+    const worker = async () => {
+      while (queue.length > 0 && !controller.signal.aborted) {
+        const line = queue.shift();
+        const query = buildSearchQuery(line.product);
+        let candidates = [];
+
+        if (query) {
+          const searchUrl = getSearchUrl(query, window.location.href);
+          try {
+            log(`Searching substitutes for ${line.product.name}: ${searchUrl}`);
+            const html = await fetchPageHtml(searchUrl, controller.signal);
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            candidates = getLayoutCards(doc, SEARCH_LAYOUT).map(card => {
+              const candidate = parseProductCard(card);
+              return { ...candidate, url: candidate.url ? new URL(candidate.url, searchUrl).href : candidate.url };
+            });
+          } catch (error) {
+            if (controller.signal.aborted) return;
+            log(`Error searching substitutes for ${line.product.name}:`, error);
+          }
+        }
+
+        // Compare with the line's own URL resolved the same way
+        const product = { ...line.product, url: line.product.url ? new URL(line.product.url, window.location.href).href : line.product.url };
+        const substitutes = findSubstitutes({ product: product, quantity: line.quantity }, candidates);
+        results.push({ ...line, substitutes: substitutes });
+        markSubstitutesOnCard(line.card, substitutes);
+        showProgress(`Tražim jeftinije zamjene: ${results.length} od ${lines.length} stavki`);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, lines.length) }, worker));
+    if (controller.signal.aborted) return;
+    basketController = null;
+    hideProgress();
 
-    // Also re-apply order every 200ms as a backup
-    sortMaintainerInterval = setInterval(() => {
-      if (!currentSortState) return;
+    const summary = summarizeBasket(results);
+    log('Basket summary:', summary);
+    let text;
+    if (summary.improvable === 0) {
+      text = 'Nema jeftinijih zamjena po jedinici';
+    } else {
+      text = `Moguća ušteda: ${formatEuro(summary.saving)} na ${summary.improvable} od ${summary.lines} stavki`;
+      if (summary.unknown > 0) text += ` (${summary.unknown} bez procjene)`;
+    }
+    const status = document.querySelector('.konzum-basket-summary');
+    if (status) status.textContent = text;
+    showNotification(text);
+  }
 
-      const cards = container.querySelectorAll('article.product-item');
-      if (cards.length === 0) return;
+  /**
+   * Stop looking up substitutes, e.g. when leaving the page
+   */
+  function abortBasketSearch() {
+    if (!basketController) return;
+    basketController.abort();
+    basketController = null;
+    hideProgress();
+  }
 
-      let needsReapply = false;
+  /**
+   * Add the basket optimizer button and its saving summary
+   * Only shown where the page type lists a basket
+   * @param {HTMLElement} parent - Element to add the control to
+   */
+  function addBasketControl(parent) {
+    if (!hasFeature('basket') || parent.querySelector('.konzum-basket')) return;
 
-      // Check if any card lost its sort order
-      cards.forEach(card => {
-        const expectedOrder = card.getAttribute('data-sort-order');
-        if (expectedOrder) {
-          const currentOrder = window.getComputedStyle(card).order;
-          // Check if computed style doesn't match
-          if (currentOrder !== expectedOrder) {
-            needsReapply = true;
-          }
-        } else if (card.classList.contains('konzum-sorted')) {
-          // Card has our class but no order attribute - something removed it
-          needsReapply = true;
-        }
-      });
+    const wrapper = document.createElement('span');
+    wrapper.className = 'konzum-basket';
 
-      // Check if there are unsorted cards (new cards added)
-      const unsortedCards = Array.from(cards).filter(card => !card.hasAttribute('data-sort-order'));
-      if (unsortedCards.length > 0) {
-        log(`Found ${unsortedCards.length} unsorted cards, re-sorting...`);
-        needsReapply = true;
-      }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Pronađi jeftinije zamjene';
+    button.title = 'Potraži na konzum.hr proizvode koji su jeftiniji po jedinici od onih u košarici';
+    button.addEventListener('click', () => optimizeBasket());
 
-      if (needsReapply) {
-        log('Sort order lost, re-applying...');
-        // Re-sort all products
-        sortByUnitPrice(currentSortState.ascending);
-      }
-    }, 200);
+    const summary = document.createElement('span');
+    summary.className = 'konzum-basket-summary';
+    summary.setAttribute('role', 'status');
 
-    log('✓ Sort maintainer interval and observer set up');
+    wrapper.append(button, summary);
+    parent.appendChild(wrapper);
   }
 
-  // Set up MutationObserver to maintain sort order
-  function setupSortObserver(container) {
-    // Disconnect existing observer if any
-    if (sortObserver) {
-      sortObserver.disconnect();
+  /**
+   * Create a select listing the sort keys
+   * @param {boolean} withDirection - List each key ascending and descending ("price:asc"), plus a "none" option
+   * @param {string} value - Initially selected value
+   * @returns {HTMLSelectElement} The select element
+   */
+  function createSortKeySelect(withDirection, value) {
+    const select = document.createElement('select');
+
+    if (withDirection) {
+      select.appendChild(new Option('—', ''));
+      Object.entries(SORT_KEYS).forEach(([key, { label, needsAmount }]) => {
+        if (needsAmount) return;
+        select.appendChild(new Option(`${label} ↑`, `${key}:asc`));
+        select.appendChild(new Option(`${label} ↓`, `${key}:desc`));
+      });
+    } else {
+      Object.entries(SORT_KEYS).forEach(([key, { label, needsAmount }]) => {
+        if (!needsAmount) select.appendChild(new Option(label, key));
+      });
     }
 
-    // Create new observer
-    sortObserver = new MutationObserver((mutations) => {
-      // Check if any product's order style was removed or changed
-      let needsReapply = false;
-
-      for (let mutation of mutations) {
-        if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-          const element = mutation.target;
-          if (element.hasAttribute('data-sort-order')) {
-            const expectedOrder = element.getAttribute('data-sort-order');
-            const currentOrder = element.style.order;
-            if (currentOrder !== expectedOrder) {
-              needsReapply = true;
-              break;
-            }
-          }
-        }
-      }
+    select.value = value;
+    return select;
+  }
 
-      if (needsReapply && currentSortState) {
-        log('DOM changed detected, re-applying sort...');
-        // Re-apply order to all elements
-        const cards = getProductCards();
-        cards.forEach(card => {
-          const sortOrder = card.getAttribute('data-sort-order');
-          if (sortOrder) {
-            card.style.setProperty('order', sortOrder, 'important');
-          }
-        });
-      }
+  /**
+   * Add the "zatim po" select that picks the secondary sort key
+   * @param {HTMLElement} parent - Element to add the control to
+   * @param {Node|null} [before] - Insert before this node, or append if omitted
+   */
+  function addSecondarySortControl(parent, before = null) {
+    if (!parent || parent.querySelector('.konzum-secondary-sort')) return;
+
+    const wrapper = document.createElement('label');
+    wrapper.className = 'konzum-secondary-sort';
+    wrapper.appendChild(document.createTextNode('zatim po '));
+
+    const secondary = settings.secondarySort || {};
+    const select = createSortKeySelect(true, secondary.key ? `${secondary.key}:${secondary.dir}` : '');
+    select.addEventListener('change', () => {
+      const [key, dir] = select.value.split(':');
+      settings.secondarySort = { key: key || '', dir: dir || 'asc' };
+      // handleSettingsChange re-sorts once the change is stored
+      saveSettings({ secondarySort: settings.secondarySort }).catch(error => log('Could not save secondary sort:', error));
     });
+    wrapper.appendChild(select);
 
-    // Observe all product cards
-    const cards = container.querySelectorAll('article.product-item');
-    cards.forEach(card => {
-      sortObserver.observe(card, {
-        attributes: true,
-        attributeFilter: ['style']
-      });
+    parent.insertBefore(wrapper, before);
+  }
+
+  // Units offered in "Trebam:"
+  const NEED_UNITS = ['kg', 'g', 'l', 'ml', 'kom'];
+
+  /**
+   * Sort by the total cost of reaching an amount, or go back to the unit price once it's cleared
+   * @param {{value: number, unit: string}|null} need - Amount in its base unit, null to clear it
+   */
+  function setNeededAmount(need) {
+    neededAmount = need;
+    log('Needed amount:', need);
+
+    if (need) {
+      // Show the dropdown as sorted by us, so choosing a site sort undoes it
+      const dropdown = hasFeature('siteSort') ? findSortingDropdown() : null;
+      if (dropdown) dropdown.value = 'unit-price-asc';
+      applyUnitPriceSort(true, 'needCost');
+    } else if (currentSortState && currentSortState.primaryKey === 'needCost') {
+      applyUnitPriceSort(currentSortState.ascending, 'unitPrice');
+    } else if (currentSortState) {
+      reapplyCurrentSort();
+    } else {
+      annotateCards();
+    }
+  }
+
+  /**
+   * Add the "Trebam:" amount input that ranks products by the cost of buying at least that amount
+   * @param {HTMLElement} parent - Element to add the control to
+   * @param {Node|null} [before] - Insert before this node, or append if omitted
+   */
+  function addNeedControl(parent, before = null) {
+    if (!parent || parent.querySelector('.konzum-need')) return;
+
+    const wrapper = document.createElement('label');
+    wrapper.className = 'konzum-need';
+    wrapper.title = 'Poredaj po ukupnoj cijeni pakiranja potrebnih za barem ovu količinu';
+    wrapper.appendChild(document.createTextNode('Trebam: '));
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = 'any';
+    input.placeholder = 'količina';
+    input.setAttribute('aria-label', 'Potrebna količina');
+
+    const unit = document.createElement('select');
+    unit.setAttribute('aria-label', 'Jedinica');
+    NEED_UNITS.forEach(name => unit.appendChild(new Option(name, name)));
+
+    const update = () => {
+      const value = parseFloat(String(input.value).replace(',', '.'));
+      setNeededAmount(value > 0 ? normalizeQuantity(value, unit.value) : null);
+    };
+    input.addEventListener('change', update);
+    unit.addEventListener('change', () => {
+      if (input.value !== '') update();
     });
 
-    log('✓ MutationObserver set up to maintain sort order');
+    wrapper.append(input, unit);
+    parent.insertBefore(wrapper, before);
   }
 
   /**
-   * Show a temporary notification message to the user
-   * @param {string} message - The message to display
+   * Add the scope toggle: sort only this page, or load and sort all pages
+   * Only shown where the page type can load other pages
+   * @param {HTMLElement} parent - Element to add the control to
    */
-  function showNotification(message) {
-    const notification = document.createElement('div');
-    notification.textContent = message;
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: #4CAF50;
-      color: white;
-      padding: 15px 20px;
-      border-radius: 5px;
-      box-shadow: 0 4px 6px rgba(0,0,0,0.2);
-      z-index: 10000;
-      font-family: Arial, sans-serif;
-      font-size: 14px;
-      animation: slideIn 0.3s ease;
-    `;
+  function addScopeControl(parent) {
+    if (!hasFeature('globalSort') || parent.querySelector('.konzum-scope')) return;
+
+    const group = document.createElement('span');
+    group.className = 'konzum-scope';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', 'Opseg sortiranja');
+
+    [['page', 'Ova stranica'], ['global', 'Sve stranice']].forEach(([scope, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.setAttribute('data-konzum-scope', scope);
+      button.addEventListener('click', () => setScope(scope));
+      group.appendChild(button);
+    });
 
-    document.body.appendChild(notification);
+    parent.appendChild(group);
+  }
 
-    setTimeout(() => {
-      notification.style.animation = 'slideOut 0.3s ease';
-      setTimeout(() => notification.remove(), 300);
-    }, 2000);
+  /**
+   * Switch between sorting only this page and sorting all pages
+   * @param {string} scope - 'page' or 'global'
+   */
+  function setScope(scope) {
+    if (settings.scope === scope) return;
+    settings.scope = scope;
+    updateControlPanel();
+    // handleSettingsChange re-sorts once the change is stored
+    saveSettings({ scope: scope }).catch(error => log('Could not save scope:', error));
   }
 
-  // Add custom sorting option
-  function addSortingOption() {
-    log('Attempting to add sorting option...');
+  /**
+   * Show the active sort, scope and number of products in the button bar
+   */
+  function updateControlPanel() {
+    const panel = document.querySelector('.konzum-unit-price-sorter');
+    if (!panel) return;
 
-    const dropdown = findSortingDropdown();
-    if (!dropdown) {
-      log('Sorting dropdown not found, adding custom button');
-      addCustomSortButton();
-      return;
-    }
+    panel.classList.toggle('konzum-sort-active', currentSortState !== null);
 
-    // Check if option already exists
-    const existingOptions = Array.from(dropdown.options);
-    const alreadyExists = existingOptions.some(opt => opt.textContent.includes('j.m.'));
+    const primarySelect = panel.querySelector('.konzum-primary-sort');
+    // Sorts by the amount in "Trebam:" aren't in the select
+    if (currentSortState && primarySelect && !SORT_KEYS[currentSortState.primaryKey].needsAmount) {
+      primarySelect.value = currentSortState.primaryKey;
+    }
 
-    if (!alreadyExists) {
-      // Add new options at the beginning (after the first option if it exists)
-      const optionAsc = document.createElement('option');
-      optionAsc.value = 'unit-price-asc';
-      optionAsc.textContent = 'Cijena za j.m. uzlazno';
+    panel.querySelectorAll('[data-konzum-direction]').forEach(button => {
+      const active = currentSortState !== null &&
+        currentSortState.ascending === (button.getAttribute('data-konzum-direction') === 'asc');
+      button.classList.toggle('konzum-active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
 
-      const optionDesc = document.createElement('option');
-      optionDesc.value = 'unit-price-desc';
-      optionDesc.textContent = 'Cijena za j.m. silazno';
+    panel.querySelectorAll('[data-konzum-scope]').forEach(button => {
+      const active = button.getAttribute('data-konzum-scope') === (settings.scope === 'page' ? 'page' : 'global');
+      button.classList.toggle('konzum-active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
 
-      // Insert at the beginning (positions 0 and 1)
-      if (dropdown.options.length > 0) {
-        dropdown.insertBefore(optionAsc, dropdown.options[0]);
-        dropdown.insertBefore(optionDesc, dropdown.options[1]);
-      } else {
-        dropdown.appendChild(optionAsc);
-        dropdown.appendChild(optionDesc);
-      }
+    const count = panel.querySelector('.konzum-sort-count');
+    if (!count) return;
 
-      log('✓ Unit price sorting options added to dropdown at the top');
+    if (fetchController) {
+      count.textContent = 'Učitavam sve stranice…';
+      return;
+    }
+    if (mergedProducts) {
+      const total = mergedProducts.length;
+      const shown = mergedProducts.filter(product => matchesFilters(product, activeFilters)).length;
+      count.textContent = shown < total ? `${shown} od ${total} proizvoda sa svih stranica` : `${total} proizvoda sa svih stranica`;
     } else {
-      log('Unit price sorting options already exist');
+      const shown = getListingCards().filter(card => !card.classList.contains('konzum-filtered-out')).length;
+      count.textContent = `${shown} proizvoda na ovoj stranici`;
     }
+  }
 
-    // Check if one of our custom sorts is already selected (from previous page visit)
-    const currentValue = dropdown.value;
-    if (currentValue === 'unit-price-asc') {
-      log('Custom sort already selected on page load (ascending), applying...');
-      sortByUnitPriceGlobally(true);
-    } else if (currentValue === 'unit-price-desc') {
-      log('Custom sort already selected on page load (descending), applying...');
-      sortByUnitPriceGlobally(false);
-    }
+  /**
+   * Update every control that shows the sort state
+   */
+  function updateSortControls() {
+    updateResetControl();
+    updateControlPanel();
+  }
 
-    // Listen for changes - use multiple event types for framework compatibility
-    const handleChange = function(e) {
-      const value = e.target.value;
-      log(`Dropdown changed to: ${value}`);
-      if (value === 'unit-price-asc') {
-        sortByUnitPriceGlobally(true); // Use global sort
-      } else if (value === 'unit-price-desc') {
-        sortByUnitPriceGlobally(false); // Use global sort
-      } else {
-        // User selected a different sort, clear our custom sort state
-        currentSortState = null;
-        if (sortMaintainerInterval) {
-          clearInterval(sortMaintainerInterval);
-          sortMaintainerInterval = null;
-        }
-        // Remove our custom classes
-        const sortedCards = document.querySelectorAll('.konzum-sorted');
-        sortedCards.forEach(card => {
-          card.classList.remove('konzum-sorted');
-          // Remove all konzum-sort-* classes
-          const classes = Array.from(card.classList);
-          classes.forEach(cls => {
-            if (cls.startsWith('konzum-sort-')) {
-              card.classList.remove(cls);
-            }
-          });
-        });
-      }
-    };
+  /**
+   * Sort by unit price using the scope chosen in the options
+   * Ignores repeated requests for a global sort that is still loading
+   * @param {boolean} ascending - True for ascending sort, false for descending
+   * @param {string} [primaryKey='unitPrice'] - Key to sort by first, one of SORT_KEYS
+   */
+  function applyUnitPriceSort(ascending, primaryKey = 'unitPrice') {
+    if (settings.scope === 'page' || !hasFeature('globalSort')) {
+      sortByUnitPrice(ascending, primaryKey);
+      return;
+    }
 
-    dropdown.addEventListener('change', handleChange);
-    dropdown.addEventListener('input', handleChange); // For some frameworks
-
-    // Also poll for changes as a fallback
-    let lastValue = dropdown.value;
-    setInterval(() => {
-      if (dropdown.value !== lastValue) {
-        lastValue = dropdown.value;
-        log(`Dropdown value changed via polling to: ${dropdown.value}`);
-        if (dropdown.value === 'unit-price-asc') {
-          sortByUnitPriceGlobally(true);
-        } else if (dropdown.value === 'unit-price-desc') {
-          sortByUnitPriceGlobally(false);
-        } else {
-          // Clear custom sort state
-          currentSortState = null;
-          if (sortMaintainerInterval) {
-            clearInterval(sortMaintainerInterval);
-            sortMaintainerInterval = null;
-          }
-        }
-      }
-    }, 500);
+    if (fetchController && currentSortState && currentSortState.global &&
+        currentSortState.ascending === ascending && currentSortState.primaryKey === primaryKey) {
+      log('Same global sort is already loading');
+      return;
+    }
+    sortByUnitPriceGlobally(ascending, primaryKey);
   }
 
   // Add custom sort button if dropdown not found
@@ -849,8 +2432,10 @@
       return;
     }
 
-    // Find a suitable place to add the button (near search results)
-    const searchResults = document.querySelector('[class*="results"], [class*="products"], [class*="Results"], [class*="Products"], main');
+    // Find a suitable place to add the button: above the product list, or near search results
+    const listContainer = getProductListContainer();
+    const searchResults = (listContainer && listContainer.parentElement) ||
+      document.querySelector('[class*="results"], [class*="products"], [class*="Results"], [class*="Products"], main');
     if (!searchResults) {
       log('No suitable location found for custom buttons');
       return;
@@ -859,48 +2444,67 @@
     // Create container for custom sort buttons
     const container = document.createElement('div');
     container.className = 'konzum-unit-price-sorter';
-    container.style.cssText = 'margin: 15px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;';
 
     const label = document.createElement('span');
-    label.textContent = 'Sortiraj po cijeni za j.m.: ';
-    label.style.cssText = 'margin-right: 10px; font-weight: bold;';
+    label.textContent = 'Sortiraj po: ';
     container.appendChild(label);
 
-    const btnAsc = document.createElement('button');
-    btnAsc.textContent = '↑ Uzlazno';
-    btnAsc.className = 'unit-price-sort-btn';
-    btnAsc.style.cssText = 'margin-right: 10px; padding: 8px 15px; cursor: pointer; background: #fff; border: 1px solid #ddd; border-radius: 3px;';
-    btnAsc.addEventListener('click', () => {
-      log('Ascending button clicked');
-      sortByUnitPrice(true);
+    const primarySelect = createSortKeySelect(false, settings.primarySort);
+    primarySelect.className = 'konzum-primary-sort';
+    primarySelect.addEventListener('change', () => {
+      const primaryKey = primarySelect.value;
+      settings.primarySort = primaryKey;
+      saveSettings({ primarySort: primaryKey }).catch(error => log('Could not save primary sort:', error));
+
+      // An active sort switches to the new key right away, in the same direction
+      if (currentSortState) {
+        rememberSort(currentSortState.ascending, primaryKey);
+        applyUnitPriceSort(currentSortState.ascending, primaryKey);
+      }
     });
-    container.appendChild(btnAsc);
-
-    const btnDesc = document.createElement('button');
-    btnDesc.textContent = '↓ Silazno';
-    btnDesc.className = 'unit-price-sort-btn';
-    btnDesc.style.cssText = 'padding: 8px 15px; cursor: pointer; background: #fff; border: 1px solid #ddd; border-radius: 3px;';
-    btnDesc.addEventListener('click', () => {
-      log('Descending button clicked');
-      sortByUnitPrice(false);
+    container.appendChild(primarySelect);
+
+    // Direction buttons; the active one is highlighted by updateControlPanel()
+    [[true, '↑ Uzlazno'], [false, '↓ Silazno']].forEach(([ascending, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.className = 'unit-price-sort-btn';
+      button.setAttribute('data-konzum-direction', ascending ? 'asc' : 'desc');
+      button.addEventListener('click', () => {
+        log(`${ascending ? 'Ascending' : 'Descending'} button clicked`);
+        rememberSort(ascending, primarySelect.value);
+        applyUnitPriceSort(ascending, primarySelect.value);
+      });
+      container.appendChild(button);
     });
-    container.appendChild(btnDesc);
 
-    // Add hover effect
-    const addHoverEffect = (btn) => {
-      btn.addEventListener('mouseenter', () => {
-        btn.style.background = '#e0e0e0';
-      });
-      btn.addEventListener('mouseleave', () => {
-        btn.style.background = '#fff';
-      });
-    };
-    addHoverEffect(btnAsc);
-    addHoverEffect(btnDesc);
+    addScopeControl(container);
+    addSecondarySortControl(container);
+    addNeedControl(container);
+
+    const count = document.createElement('span');
+    count.className = 'konzum-sort-count';
+    container.appendChild(count);
+
+    addExportControl(container);
+    addBasketControl(container);
+    addResetControl(container);
 
     // Insert at the beginning of search results
     searchResults.insertBefore(container, searchResults.firstChild);
+    updateControlPanel();
     log('✓ Custom sorting buttons added');
+
+    if (currentSortState) return;
+    if (savedSort) {
+      log(`Re-applying remembered sort (${savedSort.ascending ? 'ascending' : 'descending'})`);
+      primarySelect.value = savedSort.primaryKey || 'unitPrice';
+      applyUnitPriceSort(savedSort.ascending, primarySelect.value);
+    } else if (settings.autoApply) {
+      log('Auto-applying unit price sort');
+      applyUnitPriceSort(settings.defaultDirection !== 'desc', primarySelect.value);
+    }
   }
 
   // Watch for URL changes (pagination, filters, etc.)
@@ -924,31 +2528,33 @@
     // Also watch for popstate (back/forward buttons)
     window.addEventListener('popstate', handleUrlChange);
 
-    // Poll for URL changes as fallback
-    setInterval(() => {
-      if (window.location.href !== lastUrl) {
-        lastUrl = window.location.href;
-        handleUrlChange();
-      }
-    }, 500);
-
     function handleUrlChange() {
       const newUrl = window.location.href;
       if (newUrl !== lastUrl) {
         lastUrl = newUrl;
         log('URL changed to:', newUrl);
 
+        // Pages fetched for the old URL are no longer relevant
+        abortGlobalFetch();
+
+        // The new page has its own original order
+        sortEngine.stop();
+        listingSnapshot = null;
+
         // Wait a bit for new content to load
-        setTimeout(() => {
+        setTimeout(async () => {
+          // A new category may have its own remembered sort
+          if (settings.rememberSort === 'category') {
+            savedSort = await loadSavedSort(getSavedSortKey());
+          }
+
           // Re-initialize sorting options
           addSortingOption();
 
           // If we have an active sort state, re-apply it
           if (currentSortState) {
             log('Re-applying sort after page change...');
-            setTimeout(() => {
-              sortByUnitPrice(currentSortState.ascending);
-            }, 500);
+            setTimeout(reapplyCurrentSort, 500);
           }
         }, 100);
       }
@@ -957,8 +2563,341 @@
     log('✓ Watching for page changes (pagination, filters, etc.)');
   }
 
+  // Watched products by product key, kept in sync with the extension's storage
+  let watchlist = {};
+
+  /**
+   * Show the "Prati" toggle on a product card
+   * @param {HTMLElement} card - The product card element
+   * @param {Object} product - Product record of the card
+   */
+  function markWatchOnCard(card, product) {
+    let block = card.querySelector('.konzum-watch');
+    const key = hasFeature('watch') && product.url ? getWatchKey(product) : null;
+    if (!key) {
+      if (block) block.remove();
+      return;
+    }
+
+    if (!block) {
+      block = document.createElement('div');
+      block.className = 'konzum-watch';
+      card.appendChild(block);
+    }
+    block.setAttribute('data-konzum-watch-key', key);
+    renderWatchBlock(block);
+  }
+
+  /**
+   * Show the "Prati" toggle on product cards that get no unit price badges
+   * @param {Array<Object>} products - Product records with their card elements
+   */
+  function markWatchOnCards(products) {
+    products.forEach(product => markWatchOnCard(product.element, product));
+  }
+
+  /**
+   * Bring a card's watch toggle up to date, with the target editor of a watched product
+   * Elements are updated in place, so a control being used keeps its focus.
+   * @param {HTMLElement} block - The card's .konzum-watch element
+   */
+  function renderWatchBlock(block) {
+    const entry = watchlist[block.getAttribute('data-konzum-watch-key')] || null;
+
+    let toggle = block.querySelector('.konzum-watch-toggle');
+    if (!toggle) {
+      toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'konzum-watch-toggle';
+      block.prepend(toggle);
+    }
+    toggle.setAttribute('aria-pressed', String(Boolean(entry)));
+    toggle.textContent = entry ? '★ Pratim' : '☆ Prati';
+    toggle.title = entry ? 'Prestani pratiti' : 'Obavijesti me kad cijena padne ili proizvod bude na akciji';
+
+    let target = block.querySelector('.konzum-watch-target');
+    if (!entry) {
+      if (target) target.remove();
+      return;
+    }
+
+    if (!target) {
+      target = document.createElement('div');
+      target.className = 'konzum-watch-target';
+
+      const text = document.createElement('span');
+      text.textContent = 'Obavijesti ispod';
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.01';
+      input.setAttribute('aria-label', 'Ciljana cijena');
+
+      const type = document.createElement('select');
+      type.setAttribute('aria-label', 'Cijena ili cijena za j.m.');
+      type.add(new Option('€', 'price'));
+
+      target.append(text, input, type);
+      block.appendChild(target);
+    }
+
+    const input = target.querySelector('input');
+    const type = target.querySelector('select');
+    const unit = entry.target.unit || entry.last.unit;
+    if (unit && type.options.length < 2) type.add(new Option(formatUnit(unit), 'unitPrice'));
+
+    if (input !== document.activeElement) input.value = entry.target.value.toFixed(2);
+    type.value = entry.target.type;
+  }
+
+  /**
+   * Bring every watch toggle on the page up to date with the watchlist
+   */
+  function refreshWatchBlocks() {
+    document.querySelectorAll('.konzum-watch').forEach(renderWatchBlock);
+  }
+
+  /**
+   * Watch or stop watching the product of a clicked "Prati" toggle
+   * Listens on the document in the capture phase, so neither the site nor the
+   * proxy of injected cards treats the click as a click on the product.
+   * @param {MouseEvent} e - Click event
+   */
+  function handleWatchClick(e) {
+    const toggle = e.target.closest('.konzum-watch-toggle');
+    if (!toggle) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const block = toggle.closest('.konzum-watch');
+    const key = block.getAttribute('data-konzum-watch-key');
+    if (watchlist[key]) {
+      delete watchlist[key];
+      storeWatch(saveWatch(key, null));
+      log('Stopped watching', key);
+    } else {
+      const entry = createWatchEntry(parseProductCard(block.parentElement), window.location.href);
+      if (!entry) return;
+      watchlist[key] = { ...entry, key: key };
+      storeWatch(saveWatch(key, watchlist[key]));
+      log('Watching', key, watchlist[key].target);
+    }
+    refreshWatchBlocks();
+  }
+
+  /**
+   * Report a watchlist change that couldn't be stored and show what is stored instead
+   * @param {Promise<void>} saving - Pending saveWatch or updateWatch
+   */
+  function storeWatch(saving) {
+    saving.catch(async error => {
+      log('Could not save watchlist:', error);
+      showNotification('Praćenje proizvoda nije spremljeno');
+      watchlist = await loadWatchlist();
+      refreshWatchBlocks();
+    });
+  }
+
+  /**
+   * Store the target price edited on a watched product's card
+   * Switching between the shelf and unit price starts from the current one.
+   * @param {Event} e - Change event
+   */
+  function handleWatchChange(e) {
+    const target = e.target.closest('.konzum-watch-target');
+    if (!target) return;
+    e.stopPropagation();
+
+    const key = target.closest('.konzum-watch').getAttribute('data-konzum-watch-key');
+    const entry = watchlist[key];
+    if (!entry) return;
+
+    const type = target.querySelector('select').value === 'unitPrice' ? 'unitPrice' : 'price';
+    let value = parseFloat(target.querySelector('input').value);
+    if (e.target.tagName === 'SELECT') {
+      value = type === 'unitPrice' ? entry.last.unitPrice : entry.last.price;
+    }
+
+    if (value > 0) {
+      const newTarget = {
+        type: type,
+        value: Math.round(value * 100) / 100,
+        unit: type === 'unitPrice' ? entry.target.unit || entry.last.unit : null
+      };
+      watchlist[key] = { ...entry, target: newTarget };
+      storeWatch(updateWatch(key, { target: newTarget }));
+    }
+    refreshWatchBlocks();
+  }
+
+  /**
+   * Follow changes to the watchlist made in other tabs or by the background checks
+   * @param {Object<string, (Object|null)>} changed - Changed watch entries by product key, null if no longer watched
+   */
+  function handleWatchlistChange(changed) {
+    Object.entries(changed).forEach(([key, entry]) => {
+      if (entry) {
+        watchlist[key] = entry;
+      } else {
+        delete watchlist[key];
+      }
+    });
+    refreshWatchBlocks();
+  }
+
+  /**
+   * React to preferences changed on the options page while the listing is open
+   * @param {Object} newSettings - Full new preferences
+   * @param {Object} changed - Only the changed preferences
+   */
+  function handleSettingsChange(newSettings, changed) {
+    settings = newSettings;
+    log('Settings changed:', changed);
+
+    if ('rememberSort' in changed) {
+      savedSort = null;
+      if (settings.rememberSort !== 'off') {
+        loadSavedSort(getSavedSortKey()).then(sort => {
+          savedSort = sort;
+          updateResetControl();
+        });
+      }
+    }
+
+    if (currentSortState && ('scope' in changed || 'unpricedPlacement' in changed || 'secondarySort' in changed)) {
+      // A different scope starts again from the page's own cards
+      if ('scope' in changed) {
+        abortGlobalFetch();
+        restoreListing();
+      }
+      // Re-sort with the new scope, placement or secondary key
+      applyUnitPriceSort(currentSortState.ascending, currentSortState.primaryKey);
+    } else if (!currentSortState && changed.autoApply) {
+      addSortingOption();
+    }
+
+    if ('scope' in changed) updateControlPanel();
+
+    if ('priceHistory' in changed) {
+      if (settings.priceHistory) {
+        trackPriceHistory(allProductsData.length > 0 ? allProductsData : parsePageCards());
+      } else {
+        document.querySelectorAll('.konzum-price-trend').forEach(badge => badge.remove());
+      }
+    }
+
+    if ('unitBadges' in changed || 'bestValueCount' in changed) {
+      // Sorted lists are ranked as a whole, so let the sort redo the badges
+      if (currentSortState) {
+        reapplyCurrentSort();
+      } else {
+        annotateCards();
+      }
+    }
+  }
+
+  /**
+   * Describe the listing for the toolbar popup
+   * Only plain data, since the answer is passed between extension contexts
+   * @returns {Object} Page type, sort state and unit price summary of the displayed products
+   */
+  function describeListing() {
+    if (!pageType) return { available: false };
+
+    const summary = summarizeUnitPrices(getDisplayedProducts());
+    const toLink = product => ({
+      name: product.name,
+      url: product.url ? new URL(product.url, window.location.href).href : null,
+      price: product.price,
+      unitPrice: { value: product.unitPrice.value, unit: product.unitPrice.unit }
+    });
+
+    return {
+      available: true,
+      page: pageType.label,
+      features: { ...pageType.features },
+      scope: settings.scope === 'page' ? 'page' : 'global',
+      sort: currentSortState
+        ? {
+          ascending: currentSortState.ascending,
+          global: currentSortState.global,
+          description: describeSortSpec(buildSortSpec(currentSortState.ascending, currentSortState.primaryKey, settings.secondarySort))
+        }
+        : null,
+      loading: fetchController !== null,
+      allPages: mergedProducts !== null,
+      count: summary.count,
+      withUnitPrice: summary.withUnitPrice,
+      units: summary.units,
+      best: summary.best.map(toLink)
+    };
+  }
+
+  /**
+   * Sort as if chosen in the page's own controls, so the sort is remembered
+   * and the dropdown shows it
+   * @param {boolean} ascending - True for ascending sort, false for descending
+   */
+  function sortFromPopup(ascending) {
+    const dropdown = hasFeature('siteSort') ? findSortingDropdown() : null;
+    // Keep the key chosen in the dropdown or the button bar, only the direction changes
+    const selectedSort = dropdown ? parseDropdownValue(dropdown.value) : null;
+    const primaryKey = dropdown ? (selectedSort ? selectedSort.primaryKey : 'unitPrice') : settings.primarySort;
+    if (dropdown) dropdown.value = getDropdownValue(ascending, primaryKey);
+
+    rememberSort(ascending, primaryKey);
+    applyUnitPriceSort(ascending, primaryKey);
+  }
+
+  /**
+   * Answer requests from the toolbar popup
+   * Every request is answered with the listing as it is after the action.
+   * @param {{type: string}} message - 'summary', 'sort' with ascending, 'scope' with scope, or 'export' with format
+   * @param {Object} sender - Sender of the message
+   * @param {function(Object): void} sendResponse - Callback for the answer
+   * @returns {boolean} False, the answer is always sent right away
+   */
+  function handlePopupMessage(message, sender, sendResponse) {
+    if (!message || typeof message.type !== 'string') return false;
+    log('Popup request:', message);
+
+    if (pageType) {
+      if (message.type === 'sort') {
+        sortFromPopup(message.ascending !== false);
+      } else if (message.type === 'scope' && hasFeature('globalSort')) {
+        setScope(message.scope === 'page' ? 'page' : 'global');
+      } else if (message.type === 'export' && hasFeature('export')) {
+        exportProducts(message.format === 'json' ? 'json' : 'csv');
+      }
+    }
+
+    sendResponse(describeListing());
+    return false;
+  }
+
+  /**
+   * Listen for the toolbar popup
+   */
+  function listenForPopup() {
+    const api = globalThis.browser || globalThis.chrome;
+    if (!api || !api.runtime || !api.runtime.onMessage) return;
+    api.runtime.onMessage.addListener(handlePopupMessage);
+  }
+
   // Initialize
-  function init() {
+  async function init() {
+    settings = await loadSettings();
+    onSettingsChanged(handleSettingsChange);
+    listenForPopup();
+    watchlist = await loadWatchlist();
+    onWatchlistChanged(handleWatchlistChange);
+    document.addEventListener('click', handleWatchClick, true);
+    document.addEventListener('change', handleWatchChange, true);
+    if (settings.rememberSort !== 'off') {
+      savedSort = await loadSavedSort(getSavedSortKey());
+    }
+
     log('=== Konzum Unit Price Sorter Initialized ===');
     log('URL:', window.location.href);
 
@@ -983,6 +2922,11 @@
     // Watch for page changes (pagination)
     watchForPageChanges();
 
+    // Stop loading pages when leaving
+    window.addEventListener('pagehide', abortGlobalFetch);
+    window.addEventListener('pagehide', abortBasketSearch);
+    window.addEventListener('scroll', rememberScrollPosition, { passive: true });
+
     // Add CSS for animations
     const style = document.createElement('style');
     style.textContent = `
@@ -0,0 +1,127 @@
+/**
+ * Konzum Unit Price Sorter - Export
+ * Turns the collected product list into CSV and JSON for spreadsheets
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  // Byte order mark, so Excel opens the CSV as UTF-8 and keeps "č", "ć", "đ", "š", "ž"
+  const UTF8_BOM = '\uFEFF';
+
+  /**
+   * Exported columns: key in the JSON export and header in the CSV export
+   */
+  const EXPORT_COLUMNS = [
+    { key: 'name', header: 'Naziv' },
+    { key: 'url', header: 'URL' },
+    { key: 'price', header: 'Cijena (€)' },
+    { key: 'unitPrice', header: 'Cijena za j.m. (€)' },
+    { key: 'unit', header: 'Jedinica' },
+    { key: 'packageSize', header: 'Pakiranje' },
+    { key: 'page', header: 'Stranica' },
+    { key: 'collectedAt', header: 'Vrijeme' }
+  ];
+
+  /**
+   * Build one export row per product
+   * @param {Array<Object>} products - Product records, in the order shown
+   * @param {Object} [options] - Row options
+   * @param {string} [options.baseUrl] - URL product links are resolved against
+   * @param {number} [options.now=Date.now()] - Time used for products without a collection time
+   * @returns {Array<Object>} Rows keyed by EXPORT_COLUMNS keys
+   */
+  function toExportRows(products, { baseUrl = 'https://www.konzum.hr/', now = Date.now() } = {}) {
+    return products.map(product => {
+      let url = product.url || '';
+      try {
+        if (url) url = new URL(url, baseUrl).href;
+      } catch (error) {
+        // Keep the href as written
+      }
+
+      return {
+        name: product.name || '',
+        url: url,
+        price: product.price ?? null,
+        unitPrice: product.unitPrice ? product.unitPrice.value : null,
+        unit: product.unitPrice ? product.unitPrice.unit : null,
+        packageSize: product.quantity ? product.quantity.text : null,
+        page: product.page ?? null,
+        collectedAt: new Date(product.collectedAt || now).toISOString()
+      };
+    });
+  }
+
+  /**
+   * Format one CSV cell, quoting it when needed
+   * @param {*} value - Cell value
+   * @param {string} delimiter - Column delimiter
+   * @returns {string} CSV cell
+   */
+  function formatCsvCell(value, delimiter) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    // Excel set to Croatian expects decimal commas in ";" separated files
+    if (typeof value === 'number' && delimiter === ';') text = text.replace('.', ',');
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Convert export rows to CSV with a header row and a UTF-8 BOM
+   * @param {Array<Object>} rows - Rows from toExportRows
+   * @param {Object} [options] - CSV options
+   * @param {string} [options.delimiter=';'] - ";" for Excel with Croatian settings, "," otherwise
+   * @returns {string} CSV text
+   */
+  function toCsv(rows, { delimiter = ';' } = {}) {
+    const lines = [EXPORT_COLUMNS.map(column => formatCsvCell(column.header, delimiter)).join(delimiter)];
+    rows.forEach(row => {
+      lines.push(EXPORT_COLUMNS.map(column => formatCsvCell(row[column.key], delimiter)).join(delimiter));
+    });
+    return UTF8_BOM + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Convert export rows to JSON
+   * @param {Array<Object>} rows - Rows from toExportRows
+   * @param {Object} [meta] - Details about the listing, e.g. its URL and sort
+   * @returns {string} JSON text
+   */
+  function toJson(rows, meta = {}) {
+    return JSON.stringify({ ...meta, count: rows.length, products: rows }, null, 2);
+  }
+
+  /**
+   * Build a file name for an export, e.g. "konzum-tjestenina-2024-05-01.csv"
+   * @param {string} url - Listing URL
+   * @param {string} extension - File extension without the dot
+   * @param {Date} [date=new Date()] - Export date
+   * @returns {string} File name
+   */
+  function getExportFileName(url, extension, date = new Date()) {
+    const parsed = new URL(url);
+    const name = parsed.searchParams.get('q') || parsed.pathname.split('/').filter(Boolean).pop() || 'proizvodi';
+    const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/gi, 'd')
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'proizvodi';
+    return `konzum-${slug}-${date.toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  const api = {
+    EXPORT_COLUMNS: EXPORT_COLUMNS,
+    toExportRows: toExportRows,
+    toCsv: toCsv,
+    toJson: toJson,
+    getExportFileName: getExportFileName
+  };
+
+  globalThis.KonzumSorterExport = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
@@ -0,0 +1,145 @@
+/**
+ * Konzum Unit Price Sorter - List renderer
+ * Adds a long list of cards to the page a chunk at a time as the user scrolls
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  /**
+   * Create a renderer that shows items in order, one chunk at a time
+   *
+   * The first chunk is added right away. A sentinel after the last card is
+   * watched with an IntersectionObserver, and the next chunk is added whenever
+   * it comes near the viewport, so the order of the list is kept while only
+   * the cards the user scrolls to are ever built. Without IntersectionObserver
+   * everything is added at once.
+   * @param {Object} options - Renderer options
+   * @param {function(*): HTMLElement} options.createCard - Build or return the card of an item
+   * @param {function(Array<*>, Array<*>): void} [options.onRender] - Called with each rendered chunk and all items
+   * @param {number} [options.chunkSize=40] - Cards added at a time
+   * @param {string} [options.rootMargin='1000px 0px'] - How far below the viewport the next chunk is added
+   * @param {function(function(): void): void} [options.write] - Wraps changes to the container, e.g. to hide them from a MutationObserver
+   * @param {function(...any): void} [options.log] - Debug logger
+   * @returns {{render: function(HTMLElement, Array<*>, Object=): void, renderAll: function(): void, check: function(): void, stop: function(): void, getRenderedCount: function(): number, isActive: function(): boolean}} Renderer
+   */
+  function createListRenderer({
+    createCard,
+    onRender = () => {},
+    chunkSize = 40,
+    rootMargin = '1000px 0px',
+    write = fn => fn(),
+    log = () => {}
+  }) {
+    let container = null;
+    let items = [];
+    let rendered = 0;
+    let sentinel = null;
+    let observer = null;
+
+    /**
+     * Add the cards of all items up to the given count
+     * @param {number} count - Number of items that should be rendered
+     */
+    function renderUpTo(count) {
+      const end = Math.min(count, items.length);
+      if (!container || end <= rendered) return;
+
+      const chunk = items.slice(rendered, end);
+      write(() => {
+        const fragment = container.ownerDocument.createDocumentFragment();
+        chunk.forEach(item => fragment.appendChild(createCard(item)));
+        container.insertBefore(fragment, sentinel);
+      });
+      rendered = end;
+      log(`Rendered ${rendered} of ${items.length} cards`);
+
+      onRender(chunk, items);
+      check();
+    }
+
+    /**
+     * Update the sentinel after a chunk, removing it once everything is rendered
+     * Observing it again reports whether it is still near the viewport, e.g.
+     * when the filters hide all cards of the new chunk
+     */
+    function check() {
+      if (!sentinel) return;
+
+      if (rendered >= items.length) {
+        observer.disconnect();
+        observer = null;
+        const done = sentinel;
+        sentinel = null;
+        write(() => done.remove());
+        return;
+      }
+
+      sentinel.textContent = `Prikazano ${rendered} od ${items.length} · učitavam još…`;
+      observer.unobserve(sentinel);
+      observer.observe(sentinel);
+    }
+
+    /**
+     * Show a list, replacing the one shown before
+     * @param {HTMLElement} target - Element the cards are added to
+     * @param {Array<*>} list - Items in the order they are shown
+     * @param {Object} [options] - Render options
+     * @param {number} [options.initialCount] - Items rendered right away, e.g. to restore a scroll position; at least one chunk
+     */
+    function render(target, list, { initialCount = chunkSize } = {}) {
+      stop();
+      container = target;
+      items = list;
+
+      const view = container.ownerDocument.defaultView;
+      if (view && view.IntersectionObserver) {
+        sentinel = container.ownerDocument.createElement('div');
+        sentinel.className = 'konzum-load-more';
+        sentinel.setAttribute('data-konzum-injected', 'true');
+        write(() => container.appendChild(sentinel));
+
+        observer = new view.IntersectionObserver(entries => {
+          if (entries.some(entry => entry.isIntersecting)) renderUpTo(rendered + chunkSize);
+        }, { rootMargin: rootMargin });
+        renderUpTo(Math.max(initialCount, chunkSize));
+      } else {
+        renderUpTo(items.length);
+      }
+    }
+
+    /**
+     * Stop adding cards and remove the sentinel; cards already added stay
+     */
+    function stop() {
+      if (observer) observer.disconnect();
+      observer = null;
+      if (sentinel) {
+        const old = sentinel;
+        write(() => old.remove());
+      }
+      sentinel = null;
+      container = null;
+      items = [];
+      rendered = 0;
+    }
+
+    return {
+      render: render,
+      renderAll: () => renderUpTo(items.length),
+      check: check,
+      stop: stop,
+      getRenderedCount: () => rendered,
+      isActive: () => container !== null
+    };
+  }
+
+  const api = {
+    createListRenderer: createListRenderer
+  };
+
+  globalThis.KonzumSorterRenderer = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
@@ -0,0 +1,277 @@
+/**
+ * Konzum Unit Price Sorter - Listing
+ * Finds the parts of a Konzum listing page: product cards, the sorting
+ * dropdown and pagination. Works on the live document or a fetched one.
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  /**
+   * Find the sorting dropdown on the page
+   * Looks for "Sortiraj po" label or options containing sorting keywords
+   * @param {Document} [doc=document] - Document to search
+   * @returns {HTMLSelectElement|null} The sorting dropdown element or null if not found
+   */
+  function findSortingDropdown(doc = document) {
+    // Look for "Sortiraj po" dropdown
+    const selects = doc.querySelectorAll('select');
+
+    for (let select of selects) {
+      const label = select.previousElementSibling;
+      if (label && label.textContent.includes('Sortiraj')) {
+        return select;
+      }
+      // Also check if the select itself has options about sorting
+      const options = select.querySelectorAll('option');
+      for (let option of options) {
+        if (option.textContent.includes('Relevantnost') ||
+            option.textContent.includes('Naziv') ||
+            option.textContent.includes('Cijena')) {
+          return select;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the element holding the cards of a known layout
+   * Container selectors also match headers and wrappers ("product-list-header"),
+   * so the element whose own children are cards wins
+   * @param {Document} doc - Document to search
+   * @param {{container: string, card: string}} layout - Layout of the page type
+   * @returns {HTMLElement|null} Container element, or null if no container holds cards
+   */
+  function findListContainer(doc, layout) {
+    const containers = Array.from(doc.querySelectorAll(layout.container));
+    return containers.find(elem => Array.from(elem.children).some(child => child.matches(layout.card))) ||
+      containers.find(elem => elem.querySelector(layout.card)) ||
+      null;
+  }
+
+  /**
+   * Get the product cards of a known layout, inside its container if there is one
+   * @param {Document} doc - Document to search
+   * @param {{container: string, card: string}} layout - Layout of the page type
+   * @returns {Array<HTMLElement>} Product card elements, empty if the layout doesn't match
+   */
+  function getLayoutCards(doc, layout) {
+    const container = findListContainer(doc, layout);
+    return Array.from((container || doc).querySelectorAll(layout.card));
+  }
+
+  /**
+   * Get all product cards from the page
+   * Uses the page type's layout when given, then tries multiple strategies to find product elements
+   * @param {Document} [doc=document] - Document to search
+   * @param {{container: string, card: string}|null} [layout] - Layout of the page type
+   * @returns {Array<HTMLElement>} Array of product card elements
+   */
+  function getProductCards(doc = document, layout = null) {
+    if (layout) {
+      const layoutCards = getLayoutCards(doc, layout);
+      if (layoutCards.length > 0) return layoutCards;
+    }
+
+    // First, try to find product-item elements directly (only article tags)
+    const productItems = doc.querySelectorAll('article.product-item');
+    if (productItems.length > 3) {
+      return Array.from(productItems);
+    }
+
+    // Fallback to other selectors
+    const altItems = doc.querySelectorAll('.product-item, .product-card');
+    if (altItems.length > 3) {
+      return Array.from(altItems);
+    }
+
+    // Try to find links to product pages
+    const productLinks = Array.from(doc.querySelectorAll('a[href*="/web/products/"]'));
+
+    if (productLinks.length > 0) {
+      // Find the common parent that represents each product card
+      const cards = [];
+      const seenElements = new Set();
+
+      for (let link of productLinks) {
+        // Go up the DOM tree to find the product card container
+        let current = link;
+        let candidate = null;
+
+        // Try to find article.product-item or similar
+        for (let i = 0; i < 10; i++) {
+          current = current.parentElement;
+          if (!current) break;
+
+          // Look for the actual product card (article or div with product classes)
+          if (current.tagName === 'ARTICLE' ||
+              current.classList.contains('product-item') ||
+              current.classList.contains('product-card') ||
+              current.className.includes('product-default')) {
+            candidate = current;
+            break;
+          }
+        }
+
+        if (candidate && !seenElements.has(candidate)) {
+          seenElements.add(candidate);
+          cards.push(candidate);
+        }
+      }
+
+      if (cards.length > 0) {
+        return cards;
+      }
+    }
+
+    // Fallback: Try specific selectors
+    const selectors = [
+      '.product-card',
+      '[data-product]',
+      '.product-item',
+      'article.product',
+      '.product',
+      '[class*="ProductCard"]',
+      '[class*="product-"]'
+    ];
+
+    for (let selector of selectors) {
+      const cards = doc.querySelectorAll(selector);
+      if (cards.length > 0) {
+        const hasPrice = cards[0].textContent.includes('€') || cards[0].textContent.includes('Cijena');
+        if (hasPrice) {
+          return Array.from(cards);
+        }
+      }
+    }
+
+    // Last resort: find grid/list containers
+    const containers = doc.querySelectorAll('[class*="grid"], [class*="list"], [class*="results"], [class*="Grid"], [class*="List"]');
+
+    for (let container of containers) {
+      const children = Array.from(container.children);
+      if (children.length > 3 && children[0].textContent.includes('€')) {
+        return children;
+      }
+    }
+
+    return [];
+  }
+
+  // Pagination widgets only; a bare [class*="page"] also matches unrelated links
+  const PAGINATION_SELECTOR = '.pagination, [class*="pagination"], [class*="Pagination"], nav[aria-label*="pag" i]';
+
+  /**
+   * Read the page number from a pagination link's "page" parameter
+   * @param {string|null} href - Link href
+   * @param {string} [baseUrl=window.location.href] - URL relative links resolve against
+   * @returns {number|null} Page number, or null if the link has none
+   */
+  function getPageFromHref(href, baseUrl = window.location.href) {
+    if (!href) return null;
+    try {
+      const page = parseInt(new URL(href, baseUrl).searchParams.get('page'));
+      return page > 0 ? page : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a link points to the next page ("Sljedeća", "›", rel="next", ...)
+   * @param {HTMLElement} link - Pagination link
+   * @returns {boolean} True for a "next" link
+   */
+  function isNextLink(link) {
+    if ((link.getAttribute('rel') || '').split(/\s+/).includes('next')) return true;
+    const label = `${link.getAttribute('aria-label') || ''} ${link.getAttribute('title') || ''} ${link.className} ${link.textContent}`;
+    return /sljede|next|›|»|→/i.test(label);
+  }
+
+  /**
+   * Read the total number of results shown on the page, e.g. "Pronađeno 287 proizvoda"
+   * @param {Document} doc - Document to search
+   * @returns {number|null} Total results, or null if not shown
+   */
+  function detectTotalResults(doc) {
+    const elements = doc.querySelectorAll('[class*="result"], [class*="Result"], [class*="count"], [class*="total"], h1, h2');
+    for (let elem of elements) {
+      // Skip large containers whose text includes whole product cards
+      if (elem.children.length > 5) continue;
+      const match = elem.textContent.match(/(\d{1,3}(?:\.\d{3})*|\d+)\s*(?:proizvod|rezultat|artikl)/i);
+      if (match) return parseInt(match[1].replace(/\./g, ''));
+    }
+    return null;
+  }
+
+  /**
+   * Analyze the pagination of a listing page
+   * Numbered links are read from their "page" parameter, so elided pagination
+   * ("1 2 3 … 12") still yields the pages it links to; the "next" link tells
+   * whether there is more beyond them.
+   * @param {Document} doc - Listing document (live or fetched)
+   * @param {string} [baseUrl=window.location.href] - URL of the listing, for relative links
+   * @returns {{maxPage: number, nextPage: (number|null), totalResults: (number|null)}} Pagination info
+   */
+  function detectPagination(doc, baseUrl = window.location.href) {
+    let maxPage = 1;
+    let nextPage = null;
+
+    const links = [];
+    doc.querySelectorAll(PAGINATION_SELECTOR).forEach(container => {
+      links.push(...container.querySelectorAll('a[href]'));
+    });
+    links.push(...doc.querySelectorAll('a[rel~="next"], link[rel~="next"]'));
+
+    links.forEach(link => {
+      let page = getPageFromHref(link.getAttribute('href'), baseUrl);
+      const text = link.textContent.trim();
+      if (page === null && /^\d+$/.test(text)) page = parseInt(text);
+      if (page === null) return;
+
+      if (page > maxPage) maxPage = page;
+      if (isNextLink(link)) nextPage = page;
+    });
+
+    return { maxPage: maxPage, nextPage: nextPage, totalResults: detectTotalResults(doc) };
+  }
+
+  /**
+   * Get current page number from URL or pagination
+   * @param {Document} [doc=document] - Listing document
+   * @param {string} [url=window.location.href] - Listing URL
+   * @returns {number} Current page number, 1 if unknown
+   */
+  function getCurrentPageNumber(doc = document, url = window.location.href) {
+    const params = new URL(url).searchParams;
+    const pageParam = params.get('page');
+    if (pageParam) return parseInt(pageParam);
+
+    // Try to find from pagination
+    const activePage = doc.querySelector('.pagination .active, [class*="pagination"] .active, [class*="pagination"] [aria-current="page"]');
+    if (activePage) {
+      const match = activePage.textContent.match(/\d+/);
+      if (match) return parseInt(match[0]);
+    }
+
+    return 1;
+  }
+
+  const api = {
+    findSortingDropdown: findSortingDropdown,
+    findListContainer: findListContainer,
+    getLayoutCards: getLayoutCards,
+    getProductCards: getProductCards,
+    getPageFromHref: getPageFromHref,
+    isNextLink: isNextLink,
+    detectTotalResults: detectTotalResults,
+    detectPagination: detectPagination,
+    getCurrentPageNumber: getCurrentPageNumber
+  };
+
+  globalThis.KonzumSorterListing = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
@@ -0,0 +1,22 @@
+/**
+ * Konzum Unit Price Sorter - Offscreen document
+ * Parses product pages for the background service worker, which has no DOMParser in Chrome
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  const { parseProductPage } = globalThis.KonzumSorterProduct;
+
+  const browserApi = globalThis.browser || globalThis.chrome;
+
+  browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== 'parseProductPage') return false;
+
+    const doc = new DOMParser().parseFromString(message.html, 'text/html');
+    sendResponse(parseProductPage(doc, message.url));
+    return false;
+  });
+})();
@@ -0,0 +1,67 @@
+/**
+ * Konzum Unit Price Sorter - Options page
+ * Reads and saves user preferences through KonzumSorterSettings
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  const { loadSettings, saveSettings } = globalThis.KonzumSorterSettings;
+
+  const form = document.getElementById('settings-form');
+  const status = document.getElementById('status');
+
+  /**
+   * Fill the form with the given preferences
+   * @param {Object} settings - Current preferences
+   */
+  function fillForm(settings) {
+    Array.from(form.elements).forEach(field => {
+      if (!(field.name in settings)) return;
+
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(settings[field.name]);
+      } else if (field.name === 'notificationDuration') {
+        // Stored in ms, shown in seconds
+        field.value = Math.round(settings[field.name] / 1000);
+      } else {
+        field.value = settings[field.name];
+      }
+    });
+  }
+
+  /**
+   * Read a single preference value from its form field
+   * @param {HTMLInputElement|HTMLSelectElement} field - Form field
+   * @returns {boolean|number|string} Value to store
+   */
+  function readField(field) {
+    if (field.type === 'checkbox') return field.checked;
+    if (field.name === 'notificationDuration') {
+      const seconds = Math.min(30, Math.max(1, parseInt(field.value) || 2));
+      return seconds * 1000;
+    }
+    if (field.name === 'bestValueCount') {
+      return Math.min(20, Math.max(0, parseInt(field.value) || 0));
+    }
+    return field.value;
+  }
+
+  // Save each preference as soon as it changes
+  form.addEventListener('change', async (e) => {
+    const field = e.target;
+    if (!field.name) return;
+
+    try {
+      await saveSettings({ [field.name]: readField(field) });
+      status.textContent = 'Spremljeno';
+    } catch (error) {
+      status.textContent = 'Spremanje nije uspjelo';
+    }
+    setTimeout(() => { status.textContent = ''; }, 1500);
+  });
+
+  loadSettings().then(fillForm);
+})();
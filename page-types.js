@@ -0,0 +1,161 @@
+/**
+ * Konzum Unit Price Sorter - Page types
+ * Recognizes the kinds of Konzum pages that list products, where their
+ * cards live and which sort features make sense on each
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  /**
+   * @typedef {Object} ListingLayout
+   * @property {string} container - Selector of the element holding the cards
+   * @property {string} card - Selector of one product card inside the container
+   * @property {string} pagination - 'numbered' for "?page=N" links, 'none' for single page lists
+   */
+
+  /**
+   * @typedef {Object} PageFeatures
+   * @property {boolean} siteSort - Page has the site's "Sortiraj po" dropdown to add options to
+   * @property {boolean} globalSort - Products of all pages can be loaded and sorted together
+   * @property {boolean} filters - Filter bar over the merged list of all pages
+   * @property {boolean} export - CSV and JSON export
+   * @property {boolean} priceHistory - Prices on the cards are shelf prices worth recording
+   * @property {boolean} basket - Search for products cheaper per unit than the listed ones
+   * @property {boolean} watch - "Prati" toggle to get notified of price drops and promotions
+   */
+
+  /**
+   * @typedef {Object} PageType
+   * @property {string} name - Identifier, e.g. 'category'
+   * @property {string} label - Croatian name shown in the UI
+   * @property {RegExp|null} path - Matches the URL path; null for the generic fallback
+   * @property {ListingLayout} layout - Where the cards are
+   * @property {PageFeatures} features - Features enabled on the page
+   */
+
+  // Grid of product cards used by search, categories and most other listings
+  const GRID_LAYOUT = {
+    container: '.product-list, [class*="product-list"]',
+    card: 'article.product-item',
+    pagination: 'numbered'
+  };
+
+  const ALL_FEATURES = { siteSort: true, globalSort: true, filters: true, export: true, priceHistory: true, basket: false, watch: true };
+
+  // Single page lists: nothing to load from other pages, no site sort to extend
+  const LIST_FEATURES = { siteSort: false, globalSort: false, filters: false, export: true, priceHistory: true, basket: false, watch: true };
+
+  /**
+   * Known listing pages, checked in order
+   * @type {Array<PageType>}
+   */
+  const PAGE_TYPES = [
+    {
+      name: 'search',
+      label: 'Pretraga',
+      path: /^\/web\/search/,
+      layout: GRID_LAYOUT,
+      features: ALL_FEATURES
+    },
+    {
+      name: 'category',
+      label: 'Kategorija',
+      path: /^\/web\/t\//,
+      layout: GRID_LAYOUT,
+      features: ALL_FEATURES
+    },
+    {
+      name: 'promotions',
+      label: 'Akcije',
+      path: /^\/web\/(akcij|promo|posebn)/,
+      layout: GRID_LAYOUT,
+      features: ALL_FEATURES
+    },
+    {
+      name: 'brand',
+      label: 'Marka',
+      path: /^\/web\/(brands?|marke?)\//,
+      layout: GRID_LAYOUT,
+      features: ALL_FEATURES
+    },
+    {
+      name: 'favorites',
+      label: 'Moji favoriti',
+      path: /^\/web\/(favorites|favoriti|moji-favoriti)/,
+      layout: GRID_LAYOUT,
+      features: { ...ALL_FEATURES, siteSort: false }
+    },
+    {
+      name: 'shoppingList',
+      label: 'Popis za kupnju',
+      path: /^\/web\/(shopping-lists?|popisi?-za-kupnju|liste)/,
+      layout: {
+        container: '.shopping-list, [class*="shopping-list__items"], .product-list',
+        card: '.shopping-list-item, [class*="shopping-list__item"], article.product-item',
+        pagination: 'none'
+      },
+      features: LIST_FEATURES
+    },
+    {
+      name: 'cart',
+      label: 'Košarica',
+      path: /^\/web\/(cart|kosarica)/,
+      layout: {
+        container: '.cart-items, [class*="cart__items"], .cart-list',
+        card: '.cart-item, [class*="cart__item"]:not([class*="cart__items"]), article.product-item',
+        pagination: 'none'
+      },
+      // Cart rows show line totals for the chosen quantity, not shelf prices
+      features: { ...LIST_FEATURES, priceHistory: false, basket: true, watch: false }
+    }
+  ];
+
+  /**
+   * Any other page with a grid of product cards; its pagination is unknown,
+   * so only the cards shown are sorted
+   * @type {PageType}
+   */
+  const GENERIC_LISTING = {
+    name: 'listing',
+    label: 'Popis proizvoda',
+    path: null,
+    layout: { ...GRID_LAYOUT, pagination: 'none' },
+    features: { ...ALL_FEATURES, globalSort: false, filters: false }
+  };
+
+  // Product pages only show a few related products in carousels
+  const PRODUCT_PAGE_PATH = /^\/web\/products\//;
+
+  // Account, sign-in and checkout pages are never listings, even with product cards
+  // in them; manifest.json keeps the content scripts off them as well
+  const ACCOUNT_PAGE_PATH = /^\/web\/(account|users|sign_in|sign_up|login|registracija|checkout|orders|narudzbe)(\/|$)/;
+
+  /**
+   * Recognize the type of a Konzum page
+   * @param {string} [url=window.location.href] - Page URL
+   * @param {Document} [doc=document] - Page document, for pages not recognized by their URL
+   * @returns {PageType|null} Page type, or null if the page doesn't list products
+   */
+  function detectPageType(url = window.location.href, doc = document) {
+    const { pathname } = new URL(url);
+    if (PRODUCT_PAGE_PATH.test(pathname) || ACCOUNT_PAGE_PATH.test(pathname)) return null;
+
+    const type = PAGE_TYPES.find(candidate => candidate.path.test(pathname));
+    if (type) return type;
+
+    // A single card is more likely a teaser than a listing
+    return doc && doc.querySelectorAll(GENERIC_LISTING.layout.card).length > 1 ? GENERIC_LISTING : null;
+  }
+
+  const api = {
+    PAGE_TYPES: PAGE_TYPES,
+    GENERIC_LISTING: GENERIC_LISTING,
+    detectPageType: detectPageType
+  };
+
+  globalThis.KonzumSorterPageTypes = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
@@ -0,0 +1,194 @@
+/**
+ * Konzum Unit Price Sorter - Toolbar popup
+ * Shows a unit price summary of the listing in the active tab and sends
+ * sort and export requests to its content script
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  const { formatUnit } = globalThis.KonzumSorterProduct;
+
+  const browserApi = globalThis.browser || globalThis.chrome;
+
+  // How often the summary is refreshed while all pages are loading, in ms
+  const POLL_INTERVAL = 500;
+
+  const elements = {
+    page: document.getElementById('page'),
+    status: document.getElementById('status'),
+    unavailable: document.getElementById('unavailable'),
+    listing: document.getElementById('listing'),
+    scope: document.getElementById('scope'),
+    sort: document.getElementById('sort'),
+    units: document.getElementById('units'),
+    best: document.getElementById('best'),
+    export: document.getElementById('export')
+  };
+
+  let pollTimer = null;
+
+  /**
+   * Format a price without the currency, e.g. "1,29"
+   * @param {number} value - Price
+   * @returns {string} Formatted price
+   */
+  function formatPrice(value) {
+    return value.toFixed(2).replace('.', ',');
+  }
+
+  /**
+   * Send a request to the content script of the active tab
+   * @param {Object} message - Request, see handlePopupMessage in content.js
+   * @returns {Promise<Object|null>} Listing summary, or null if the tab has no content script
+   */
+  async function sendToTab(message) {
+    try {
+      const [tab] = await browserApi.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return null;
+      return await browserApi.tabs.sendMessage(tab.id, message);
+    } catch (error) {
+      // Not a Konzum listing, or the page is still loading
+      return null;
+    }
+  }
+
+  /**
+   * Ask the content script for the listing again after a moment
+   */
+  function scheduleRefresh() {
+    clearTimeout(pollTimer);
+    pollTimer = setTimeout(() => sendToTab({ type: 'summary' }).then(render), POLL_INTERVAL);
+  }
+
+  /**
+   * Mark the buttons of a group whose value is active
+   * @param {NodeList} buttons - Buttons of the group
+   * @param {function(HTMLButtonElement): boolean} isActive - Whether a button is active
+   */
+  function markActive(buttons, isActive) {
+    buttons.forEach(button => {
+      const active = isActive(button);
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  /**
+   * Fill the unit price table, one row per unit
+   * @param {Array<{unit: (string|null), count: number, min: number, median: number, max: number}>} units - Stats per unit
+   */
+  function renderUnits(units) {
+    const body = elements.units.querySelector('tbody');
+    body.textContent = '';
+    units.forEach(stats => {
+      const row = document.createElement('tr');
+      [formatUnit(stats.unit), stats.count, formatPrice(stats.min), formatPrice(stats.median), formatPrice(stats.max)]
+        .forEach(value => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+      body.appendChild(row);
+    });
+    elements.units.hidden = units.length === 0;
+  }
+
+  /**
+   * Fill the list of best value products, linked to their product pages
+   * @param {Array<{name: string, url: (string|null), unitPrice: {value: number, unit: string}}>} products - Cheapest products per unit
+   */
+  function renderBest(products) {
+    const list = elements.best.querySelector('ol');
+    list.textContent = '';
+    products.forEach(product => {
+      const item = document.createElement('li');
+      const name = document.createElement(product.url ? 'a' : 'span');
+      name.textContent = product.name || 'Bez naziva';
+      if (product.url) {
+        name.href = product.url;
+        name.target = '_blank';
+        name.rel = 'noopener';
+      }
+
+      const price = document.createElement('span');
+      price.className = 'price';
+      price.textContent = `${formatPrice(product.unitPrice.value)} ${formatUnit(product.unitPrice.unit)}`;
+
+      item.append(name, price);
+      list.appendChild(item);
+    });
+    elements.best.hidden = products.length === 0;
+  }
+
+  /**
+   * Show the listing as described by the content script
+   * @param {Object|null} listing - Answer of the content script
+   */
+  function render(listing) {
+    clearTimeout(pollTimer);
+
+    if (!listing || !listing.available) {
+      elements.page.textContent = 'Cijena za j.m.';
+      elements.status.textContent = '';
+      elements.unavailable.hidden = false;
+      elements.listing.hidden = true;
+      return;
+    }
+
+    elements.unavailable.hidden = true;
+    elements.listing.hidden = false;
+    elements.page.textContent = listing.page;
+
+    if (listing.loading) {
+      elements.status.textContent = 'Učitavam sve stranice…';
+      // Ask again until the products of all pages are in
+      scheduleRefresh();
+    } else {
+      const where = listing.allPages ? 'sa svih stranica' : 'na ovoj stranici';
+      elements.status.textContent = `${listing.count} proizvoda ${where}, ${listing.withUnitPrice} s cijenom za j.m.`;
+    }
+
+    elements.sort.textContent = listing.sort ? `Sortirano ${listing.sort.description}` : 'Redoslijed stranice';
+    markActive(elements.listing.querySelectorAll('[data-direction]'), button =>
+      listing.sort !== null && listing.sort.ascending === (button.dataset.direction === 'asc'));
+    markActive(elements.scope.querySelectorAll('[data-scope]'), button => button.dataset.scope === listing.scope);
+
+    elements.scope.hidden = !listing.features.globalSort;
+    elements.export.hidden = !listing.features.export;
+
+    renderUnits(listing.units);
+    renderBest(listing.best);
+  }
+
+  elements.listing.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    let message = null;
+    if (button.dataset.direction) {
+      message = { type: 'sort', ascending: button.dataset.direction === 'asc' };
+    } else if (button.dataset.scope) {
+      message = { type: 'scope', scope: button.dataset.scope };
+    } else if (button.dataset.format) {
+      message = { type: 'export', format: button.dataset.format };
+    }
+    if (!message) return;
+
+    sendToTab(message).then(listing => {
+      render(listing);
+      // The content script re-sorts in the new scope once the setting is stored
+      if (message.type === 'scope' && listing && listing.sort) scheduleRefresh();
+    });
+  });
+
+  // Alerts without notifications (Safari) and failed checks of watched products wait on the toolbar button until the popup is opened
+  if (browserApi.action) {
+    browserApi.action.setBadgeText({ text: '' });
+    browserApi.action.setTitle({ title: 'Cijena za j.m.' });
+  }
+
+  sendToTab({ type: 'summary' }).then(render);
+})();
@@ -0,0 +1,255 @@
+/**
+ * Konzum Unit Price Sorter - Price history
+ * Keeps the prices seen on listings in extension storage, on this device only
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  // Each product's history is stored under its own key, e.g. "history:123456"
+  const KEY_PREFIX = 'history:';
+
+  // Points older than this are dropped when a product is seen again
+  const MAX_AGE_DAYS = 365;
+
+  // Window for "najniža cijena u zadnjih 30 dana"
+  const LOWEST_PRICE_DAYS = 30;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * @typedef {Object} PricePoint
+   * @property {string} date - Local date the price was seen, "YYYY-MM-DD"
+   * @property {number} price - Shelf price in €
+   * @property {number|null} unitPrice - Unit price in € per unit
+   * @property {string|null} unit - Unit of the unit price
+   */
+
+  /**
+   * Get the key a product's history is stored under
+   * @param {{id: (string|null), url: string}} product - Product record
+   * @returns {string|null} Key, or null if the product can't be identified
+   */
+  function getHistoryKey(product) {
+    return product.id || product.url || null;
+  }
+
+  /**
+   * Format a time as a local date, so a day means a shopping day in Croatia rather than UTC
+   * @param {number|Date} time - Time to format
+   * @returns {string} Date as "YYYY-MM-DD"
+   */
+  function toDateKey(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Count whole days between two date keys
+   * @param {string} from - Earlier date, "YYYY-MM-DD"
+   * @param {string} to - Later date, "YYYY-MM-DD"
+   * @returns {number} Days from the first date to the second
+   */
+  function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+  }
+
+  /**
+   * Add a price point to a history, one point per day
+   * A later price on the same day replaces the earlier one.
+   * @param {Array<PricePoint>} points - Recorded points, oldest first
+   * @param {PricePoint} point - Newly seen price
+   * @param {number} [maxAgeDays=MAX_AGE_DAYS] - Drop points older than this many days
+   * @returns {Array<PricePoint>} New history, oldest first
+   */
+  function addPricePoint(points, point, maxAgeDays = MAX_AGE_DAYS) {
+    return points
+      .filter(other => other.date !== point.date && daysBetween(other.date, point.date) <= maxAgeDays)
+      .concat(point)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * @typedef {Object} PriceSummary
+   * @property {number} current - Latest recorded price
+   * @property {number|null} previous - Price on the last earlier day it was different, null if it never changed
+   * @property {string|null} trend - 'up', 'down' or 'same' compared with the previous day seen; null with a single point
+   * @property {number} lowest - Lowest price in the last days, including today
+   * @property {number|null} lowestBefore - Lowest price in the last days before today, null if not seen before
+   * @property {number} highest - Highest price in the last days
+   * @property {number} count - Number of days the product was seen
+   */
+
+  /**
+   * Summarize a price history for the card badge
+   * @param {Array<PricePoint>} points - Recorded points, oldest first
+   * @param {number|Date} [now=Date.now()] - Current time
+   * @param {number} [days=LOWEST_PRICE_DAYS] - Window for the lowest and highest price
+   * @returns {PriceSummary|null} Summary, or null without any points
+   */
+  function summarizeHistory(points, now = Date.now(), days = LOWEST_PRICE_DAYS) {
+    if (!points || points.length === 0) return null;
+
+    const today = toDateKey(now);
+    const last = points[points.length - 1];
+    const earlier = points.slice(0, -1);
+    const recent = points.filter(point => daysBetween(point.date, today) <= days);
+    const recentBefore = recent.filter(point => point.date !== today);
+    const changed = earlier.filter(point => point.price !== last.price);
+
+    let trend = null;
+    if (earlier.length > 0) {
+      const before = earlier[earlier.length - 1].price;
+      trend = last.price > before ? 'up' : last.price < before ? 'down' : 'same';
+    }
+
+    const prices = (recent.length > 0 ? recent : [last]).map(point => point.price);
+    return {
+      current: last.price,
+      previous: changed.length > 0 ? changed[changed.length - 1].price : null,
+      trend: trend,
+      lowest: Math.min(...prices),
+      lowestBefore: recentBefore.length > 0 ? Math.min(...recentBefore.map(point => point.price)) : null,
+      highest: Math.max(...prices),
+      count: points.length
+    };
+  }
+
+  /**
+   * Build the path of a sparkline for the prices, oldest on the left
+   * Days without a record are skipped over, so the line spans real time.
+   * @param {Array<PricePoint>} points - Recorded points, oldest first
+   * @param {number} [width=120] - Width of the drawing
+   * @param {number} [height=32] - Height of the drawing
+   * @returns {string} SVG path data, empty with fewer than two points
+   */
+  function buildSparklinePath(points, width = 120, height = 32) {
+    if (points.length < 2) return '';
+
+    const first = points[0].date;
+    const span = Math.max(1, daysBetween(first, points[points.length - 1].date));
+    const prices = points.map(point => point.price);
+    const min = Math.min(...prices);
+    const range = Math.max(...prices) - min;
+    const pad = 2;
+
+    return points.map((point, index) => {
+      const x = (daysBetween(first, point.date) / span) * width;
+      // A flat history is drawn through the middle
+      const y = range === 0 ? height / 2 : pad + (1 - (point.price - min) / range) * (height - pad * 2);
+      return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)} ${y.toFixed(1)}`;
+    }).join(' ');
+  }
+
+  /**
+   * Get the extension storage area the history is kept in
+   * Extension storage rather than IndexedDB, which in a content script would belong to konzum.hr.
+   * @returns {chrome.storage.StorageArea|null} Local storage, or null outside the extension
+   */
+  function getExtensionStorage() {
+    const api = globalThis.browser || globalThis.chrome;
+    return api && api.storage ? api.storage.local : null;
+  }
+
+  /**
+   * Open the price history
+   * @param {chrome.storage.StorageArea} [storage] - Storage area to use, the extension's local storage by default
+   * @returns {Promise<{record: function(Array<Object>, (number|Date)=): Promise<Map<string, Array<PricePoint>>>}|null>}
+   *   History store, or null outside the extension
+   */
+  async function openPriceHistory(storage = getExtensionStorage()) {
+    if (!storage) return null;
+
+    // Histories read or written in this tab, so re-sorts don't touch the storage again
+    const known = new Map();
+
+    // Recordings run one after another, so one started while another reads the storage finds its histories known
+    let queue = Promise.resolve();
+
+    /**
+     * Record today's prices of the given products
+     * Products whose price was already recorded today at the same value, in this tab
+     * or an earlier page load, are not written again.
+     * @param {Array<Object>} products - Product records with a shelf price
+     * @param {number|Date} [now=Date.now()] - Time the prices were seen
+     * @returns {Promise<Map<string, Array<PricePoint>>>} History of each product, by getHistoryKey
+     */
+    function record(products, now = Date.now()) {
+      const recording = queue.then(() => recordNow(products, now));
+      queue = recording.catch(() => {});
+      return recording;
+    }
+
+    /**
+     * Record today's prices of the given products, see record
+     * @param {Array<Object>} products - Product records with a shelf price
+     * @param {number|Date} now - Time the prices were seen
+     * @returns {Promise<Map<string, Array<PricePoint>>>} History of each product, by getHistoryKey
+     */
+    async function recordNow(products, now) {
+      const date = toDateKey(now);
+      const pending = new Map();
+      products.forEach(product => {
+        const key = getHistoryKey(product);
+        if (!key || product.price == null) return;
+
+        const points = known.get(key);
+        const last = points && points[points.length - 1];
+        if (last && last.date === date && last.price === product.price) return;
+        pending.set(key, product);
+      });
+
+      if (pending.size > 0) {
+        const stored = await storage.get(Array.from(pending.keys(), key => KEY_PREFIX + key));
+        const changes = {};
+        const updated = new Map();
+
+        pending.forEach((product, key) => {
+          const entry = stored[KEY_PREFIX + key];
+          const last = entry && entry.points[entry.points.length - 1];
+          if (last && last.date === date && last.price === product.price) {
+            known.set(key, entry.points);
+            return;
+          }
+
+          const points = addPricePoint(entry ? entry.points : [], {
+            date: date,
+            price: product.price,
+            unitPrice: product.unitPrice ? product.unitPrice.value : null,
+            unit: product.unitPrice ? product.unitPrice.unit : null
+          });
+          changes[KEY_PREFIX + key] = { name: product.name, url: product.url, points: points };
+          updated.set(key, points);
+        });
+
+        if (updated.size > 0) await storage.set(changes);
+        updated.forEach((points, key) => known.set(key, points));
+      }
+
+      const histories = new Map();
+      products.forEach(product => {
+        const key = getHistoryKey(product);
+        if (known.has(key)) histories.set(key, known.get(key));
+      });
+      return histories;
+    }
+
+    return { record: record };
+  }
+
+  const api = {
+    LOWEST_PRICE_DAYS: LOWEST_PRICE_DAYS,
+    getHistoryKey: getHistoryKey,
+    toDateKey: toDateKey,
+    addPricePoint: addPricePoint,
+    summarizeHistory: summarizeHistory,
+    buildSparklinePath: buildSparklinePath,
+    openPriceHistory: openPriceHistory
+  };
+
+  globalThis.KonzumSorterHistory = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
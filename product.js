@@ -0,0 +1,615 @@
+/**
+ * Konzum Unit Price Sorter - Product model
+ * Parses a Konzum product card into a structured product record that
+ * sorting, filtering and exporting all build on
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  /**
+   * @typedef {Object} UnitPrice
+   * @property {number} value - Price in € per base unit
+   * @property {string|null} unit - Base unit: "kg", "l", "kom", another unit as written, or null if unknown
+   * @property {boolean} [computed] - True if derived from shelf price and package size ("izračunato")
+   */
+
+  /**
+   * @typedef {Object} Quantity
+   * @property {number} count - Number of packs in a multipack, 1 otherwise
+   * @property {number} amount - Amount in one pack, in the unit as written
+   * @property {string} unit - Unit as written, e.g. "g" or "l"
+   * @property {string} text - Quantity as shown, e.g. "6 x 1,5 l"
+   */
+
+  /**
+   * @typedef {Object} Product
+   * @property {string|null} id - Product ID from data attributes or the product URL
+   * @property {string} url - Product page URL as linked from the card (href attribute)
+   * @property {string} name - Product name
+   * @property {string|null} brand - Brand, if the card shows one
+   * @property {number|null} price - Shelf price of one package in €
+   * @property {number|null} oldPrice - Struck-through price before a discount in €
+   * @property {number|null} discount - Discount in percent
+   * @property {UnitPrice|null} unitPrice - Unit price normalized to its base unit
+   * @property {Quantity|null} quantity - Package quantity as written
+   * @property {{value: number, unit: string}|null} size - Total package size in its base unit
+   * @property {boolean} available - False if the card says the product is sold out
+   * @property {Array<string>} badges - Badge texts, e.g. "Akcija" or "Novo"
+   * @property {string|null} imageUrl - Product image URL
+   * @property {Array<string>} parseErrors - Fields the card shows but that couldn't be parsed: "price", "unitPrice"
+   */
+
+  /**
+   * Units as they appear after "€/" mapped to a base unit and the factor
+   * that converts a price per that unit into a price per base unit
+   * (e.g. 0,01 €/g is 10 €/kg)
+   */
+  const UNIT_ALIASES = {
+    kg: { unit: 'kg', factor: 1 },
+    dag: { unit: 'kg', factor: 100 },
+    g: { unit: 'kg', factor: 1000 },
+    l: { unit: 'l', factor: 1 },
+    dl: { unit: 'l', factor: 10 },
+    cl: { unit: 'l', factor: 100 },
+    ml: { unit: 'l', factor: 1000 },
+    kom: { unit: 'kom', factor: 1 },
+    pak: { unit: 'kom', factor: 1 }
+  };
+
+  // Order in which unit groups are listed when sorting mixed units
+  const UNIT_ORDER = ['kg', 'l', 'kom'];
+
+  // Money amount in Croatian format: "1.234,56" or "1 234,56" with thousands
+  // separators (dot, no-break or narrow no-break space), "12,5", or "0.41" with a decimal dot.
+  // A leading 0 can't start a thousands group, so "0.415" stays a decimal. An
+  // ordinary space only separates thousands in front of a decimal comma, as in "1 234,56"
+  const GROUPED_AMOUNT_PATTERN = String.raw`[1-9]\d{0,2}(?: \d{3})+,\d+|[1-9]\d{0,2}(?:[.\u00a0\u202f]\d{3})+(?:,\d+)?`;
+  const AMOUNT_PATTERN = String.raw`${GROUPED_AMOUNT_PATTERN}|\d+(?:[,.]\d+)?`;
+  const GROUPED_AMOUNT_REGEX = new RegExp(`^(?:${GROUPED_AMOUNT_PATTERN})$`);
+
+  // Amount with the currency before or after it, or in cents ("lipa", "ct") after it.
+  // Must not follow a digit, separator or minus, so "-30%" and savings like "-1,20 €" never match
+  const MONEY_REGEX = new RegExp(
+    String.raw`(^|[^\d.,\-−])(?:(?:€|EUR)\s*(${AMOUNT_PATTERN})|(${AMOUNT_PATTERN})\s*(?:(€|EUR\b)|(lipa|lipe|lp|ct|cent[a-z]*)\b))`,
+    'gi'
+  );
+
+  // Amount on its own, e.g. an old price shown without "€"
+  const BARE_AMOUNT_REGEX = new RegExp(String.raw`^\s*(${AMOUNT_PATTERN})\s*$`);
+
+  // "/[amount] unit" right after a money amount. Known units are tried first
+  // because card text is often glued together ("2,50 €/kgDodaj u košaricu")
+  const PER_UNIT_REGEX = /^\s*\/\s*(\d+(?:[,.]\d+)?)?\s*(kg|kom|pak|dag|dl|cl|ml|g|l|[a-zA-Zčćžšđ]+\.?)/;
+
+  // Package quantity like "500 g", "4x125 g" or "6 x 1,5 l"
+  const QUANTITY_REGEX = /(?:(\d+)\s*[x×]\s*)?(\d+(?:[,.]\d+)?)\s*(kg|dag|g|l|dl|cl|ml|kom)\b/i;
+
+  // Struck-through and unit prices, never the shelf price, and the prices the extension adds to cards
+  const NOT_SHELF_PRICE_SELECTOR = 'del, s, [class*="old"], [class*="Old"], [class*="strike"], [class*="unit"], ' +
+    '.konzum-unit-tag, .konzum-need-tag, .konzum-watch, .konzum-price-trend, .konzum-substitutes';
+
+  const PRODUCT_LINK_SELECTOR = 'a[href*="/web/products/"]';
+
+  /**
+   * Parse a decimal number written with a comma or a dot
+   * @param {string} text - Number text, e.g. "1,5"
+   * @returns {number} Parsed number, NaN if invalid
+   */
+  function parseDecimal(text) {
+    return parseFloat(text.replace(',', '.'));
+  }
+
+  /**
+   * Normalize a unit price to its base unit (kg, l or kom)
+   * @param {number} value - Price per the given unit
+   * @param {string|null} unit - Unit as written on the card, e.g. "g" or "kom"
+   * @param {number} [amount=1] - Amount the price refers to, e.g. 100 for "€/100 g"
+   * @returns {UnitPrice} Price per base unit
+   */
+  function normalizeUnitPrice(value, unit, amount = 1) {
+    if (!unit) return { value: value, unit: null };
+
+    const alias = UNIT_ALIASES[unit.toLowerCase().replace(/\.$/, '')];
+    if (!alias) return { value: value / amount, unit: unit.toLowerCase() };
+
+    // Round to avoid floating point noise like 4.1000000000000005
+    const normalized = Math.round((value * alias.factor / amount) * 10000) / 10000;
+    return { value: normalized, unit: alias.unit };
+  }
+
+  /**
+   * Convert a Croatian money amount to a number
+   * A comma is always the decimal separator; a dot is one too, unless it
+   * separates groups of three digits ("1.234" is 1234, "1.29" is 1,29)
+   * @param {string} text - Amount as written, e.g. "1.234,56"
+   * @returns {number} Parsed amount, NaN if invalid
+   */
+  function parseAmount(text) {
+    if (GROUPED_AMOUNT_REGEX.test(text) || text.includes(',')) {
+      return parseFloat(text.replace(/[. \u00a0\u202f]/g, '').replace(',', '.'));
+    }
+    return parseFloat(text);
+  }
+
+  /**
+   * Find every money amount in a text, e.g. "1.234,56 €", "€ 3,49" or "99 lipa"
+   * Percentages, quantities and negative amounts are not money
+   * @param {string} text - Text to search
+   * @returns {Array<{value: number, end: number}>} Amounts in €, with the index right after each match
+   */
+  function findMoney(text) {
+    if (!text) return [];
+
+    const amounts = [];
+    for (let match of text.matchAll(MONEY_REGEX)) {
+      const [whole, , before, after, , cents] = match;
+      let value = parseAmount(before || after);
+      if (isNaN(value)) continue;
+      if (cents) value = Math.round(value) / 100;
+      amounts.push({ value: value, end: match.index + whole.length });
+    }
+    return amounts;
+  }
+
+  /**
+   * Parse the first money amount in a text
+   * @param {string} text - Text containing a price, e.g. "Cijena: 1.234,56 €"
+   * @returns {number|null} Amount in €, or null if the text has none
+   */
+  function parseMoney(text) {
+    const [first] = findMoney(text);
+    return first ? first.value : null;
+  }
+
+  /**
+   * Parse unit price from text like "0,41 €/kom", "1.234,56 €/kg" or "3,98 €/100 g"
+   * Prefers an amount followed by "/unit" and normalizes g/kg, ml/l and
+   * kom/pak to a single base unit
+   * @param {string} priceText - Text containing the price
+   * @returns {UnitPrice|null} Parsed price, or null if the text has no money amount
+   */
+  function parseUnitPrice(priceText) {
+    const amounts = findMoney(priceText);
+    if (amounts.length === 0) return null;
+
+    for (let { value, end } of amounts) {
+      const perUnit = priceText.slice(end).match(PER_UNIT_REGEX);
+      if (perUnit) {
+        const amount = perUnit[1] ? parseDecimal(perUnit[1]) : 1;
+        return normalizeUnitPrice(value, perUnit[2], amount || 1);
+      }
+    }
+    return normalizeUnitPrice(amounts[0].value, null);
+  }
+
+  /**
+   * Format a unit for display next to a price, e.g. "€/kg"
+   * @param {string|null} unit - Base unit
+   * @returns {string} Display label
+   */
+  function formatUnit(unit) {
+    return unit ? `€/${unit}` : '€';
+  }
+
+  /**
+   * Position of a unit's group in the sorted list
+   * @param {string|null} unit - Base unit
+   * @returns {number} Index into UNIT_ORDER, known units first
+   */
+  function getUnitGroupIndex(unit) {
+    const index = UNIT_ORDER.indexOf(unit);
+    if (index !== -1) return index;
+    return unit ? UNIT_ORDER.length : UNIT_ORDER.length + 1;
+  }
+
+  /**
+   * Extract unit price from a product card element
+   * Searches for "Cijena za j.m." text and extracts the price
+   * @param {HTMLElement} card - The product card element
+   * @returns {UnitPrice|null} The unit price or null if not found
+   */
+  function extractUnitPrice(card) {
+    // Look for text containing "Cijena za j.m."
+    const text = card.textContent;
+    const label = text.search(/Cijena za j\.m\./i);
+    if (label !== -1) {
+      const price = parseUnitPrice(text.slice(label, label + 60));
+      if (price !== null) return price;
+    }
+
+    // Alternative: look for element with unit price
+    const priceElements = card.querySelectorAll('[class*="unit"], [class*="j.m."], small, .price-info, span, div');
+    for (let elem of priceElements) {
+      const elemText = elem.textContent;
+      const index = elemText.indexOf('j.m.');
+      if (index !== -1) {
+        const price = parseUnitPrice(elemText.slice(index));
+        if (price !== null) return price;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a package quantity to its base unit, e.g. 500 g to 0,5 kg
+   * @param {number} value - Quantity in the given unit
+   * @param {string} unit - Unit as written, e.g. "g" or "ml"
+   * @returns {{value: number, unit: string}|null} Quantity in kg, l or kom, or null for unknown units
+   */
+  function normalizeQuantity(value, unit) {
+    const alias = UNIT_ALIASES[unit.toLowerCase()];
+    if (!alias) return null;
+    return { value: Math.round((value / alias.factor) * 10000) / 10000, unit: alias.unit };
+  }
+
+  /**
+   * Parse a package quantity like "500 g", "4x125 g" or "6 x 1,5 l"
+   * @param {string} text - Text containing the quantity, usually the product name
+   * @returns {Quantity|null} Quantity as written, or null if not found
+   */
+  function parseQuantity(text) {
+    if (!text) return null;
+    const match = text.match(QUANTITY_REGEX);
+    if (!match) return null;
+
+    const amount = parseDecimal(match[2]);
+    if (!(amount > 0)) return null;
+
+    return {
+      count: match[1] ? parseInt(match[1]) : 1,
+      amount: amount,
+      unit: match[3].toLowerCase(),
+      text: match[0].trim()
+    };
+  }
+
+  /**
+   * Total size of a package in its base unit, e.g. 4x125 g is 0,5 kg
+   * @param {Quantity|null} quantity - Parsed quantity
+   * @returns {{value: number, unit: string}|null} Total size, or null if unknown
+   */
+  function getPackageSize(quantity) {
+    if (!quantity) return null;
+    const size = normalizeQuantity(quantity.amount * quantity.count, quantity.unit);
+    return size && size.value > 0 ? size : null;
+  }
+
+  /**
+   * Parse the package size from a product name like "Tjestenina 500 g" or "Jogurt 4x125 g"
+   * @param {string} name - Product name
+   * @returns {{value: number, unit: string}|null} Total package size in its base unit, or null if not found
+   */
+  function extractPackageSize(name) {
+    return getPackageSize(parseQuantity(name));
+  }
+
+  /**
+   * Compute a unit price from the shelf price and package size, for cards
+   * that don't show "Cijena za j.m."
+   * @param {number|null} price - Shelf price in €
+   * @param {Quantity|null} quantity - Package quantity, multipacks count every pack
+   * @returns {UnitPrice|null} Computed unit price marked as computed, or null if either is missing
+   */
+  function computeUnitPrice(price, quantity) {
+    const size = getPackageSize(quantity);
+    if (price === null || !size) return null;
+
+    return {
+      value: Math.round((price / size.value) * 10000) / 10000,
+      unit: size.unit,
+      computed: true
+    };
+  }
+
+  /**
+   * @typedef {Object} PacksForAmount
+   * @property {number} packs - Packs to buy
+   * @property {number} total - Shelf price of all packs in €
+   * @property {number} amount - Amount bought, in the base unit
+   * @property {number} excess - Amount bought beyond what is needed, in the base unit
+   */
+
+  /**
+   * Work out how many packs reach at least the needed amount, and what they cost
+   * @param {{price: (number|null), size: ({value: number, unit: string}|null)}} product - Product record
+   * @param {{value: number, unit: string}|null} need - Needed amount in its base unit, e.g. from normalizeQuantity
+   * @returns {PacksForAmount|null} Packs and cost, or null if the price or size is unknown or in another unit
+   */
+  function getPacksForAmount(product, need) {
+    if (!need || !(need.value > 0) || product.price == null || !product.size || product.size.unit !== need.unit) return null;
+
+    // Sizes are rounded, so 3 × 0,3333 kg still counts as 1 kg
+    const packs = Math.max(1, Math.ceil(need.value / product.size.value - 0.001));
+    const amount = Math.round(packs * product.size.value * 10000) / 10000;
+    return {
+      packs: packs,
+      total: Math.round(packs * product.price * 100) / 100,
+      amount: amount,
+      excess: Math.max(0, Math.round((amount - need.value) * 10000) / 10000)
+    };
+  }
+
+  /**
+   * Extract the product name from a card
+   * Prefers a product link with text, since the image link is usually empty
+   * @param {HTMLElement} card - The product card element
+   * @returns {string} Product name, empty if not found
+   */
+  function extractName(card) {
+    for (let link of card.querySelectorAll(PRODUCT_LINK_SELECTOR)) {
+      const text = link.textContent.trim().replace(/\s+/g, ' ');
+      if (text) return text;
+    }
+
+    const title = card.querySelector('[class*="title"], [class*="name"], h2, h3, h4');
+    return title ? title.textContent.trim().replace(/\s+/g, ' ') : '';
+  }
+
+  /**
+   * Extract the product URL from a card
+   * @param {HTMLElement} card - The product card element
+   * @returns {string} URL as written in the link's href, empty if not found
+   */
+  function extractUrl(card) {
+    const link = card.querySelector(PRODUCT_LINK_SELECTOR);
+    return link ? link.getAttribute('href') : '';
+  }
+
+  /**
+   * Extract the product ID from data attributes, falling back to the last URL segment
+   * @param {HTMLElement} card - The product card element
+   * @param {string} url - Product URL
+   * @returns {string|null} Product ID, or null if not found
+   */
+  function extractId(card, url) {
+    const withId = card.matches('[data-product-id], [data-id], [data-sku]')
+      ? card
+      : card.querySelector('[data-product-id], [data-id], [data-sku]');
+    if (withId) {
+      const id = withId.getAttribute('data-product-id') || withId.getAttribute('data-id') || withId.getAttribute('data-sku');
+      if (id) return id;
+    }
+
+    const match = url.match(/\/web\/products\/([^/?#]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get an element's text without the text of descendants matching a selector
+   * @param {HTMLElement} elem - Element to read
+   * @param {string} selector - Descendants to leave out
+   * @returns {string} Remaining text
+   */
+  function textWithout(elem, selector) {
+    if (!elem.querySelector(selector)) return elem.textContent;
+    const clone = elem.cloneNode(true);
+    clone.querySelectorAll(selector).forEach(child => child.remove());
+    return clone.textContent;
+  }
+
+  /**
+   * Extract the shelf price (the price of one package) from a product card
+   * Skips unit prices and struck-through old prices
+   * @param {HTMLElement} card - The product card element
+   * @returns {number|null} Shelf price in €, or null if not found
+   */
+  function extractShelfPrice(card) {
+    const priceElements = card.querySelectorAll('[class*="price"], [class*="Price"]');
+    for (let elem of priceElements) {
+      if (elem.closest(NOT_SHELF_PRICE_SELECTOR)) continue;
+
+      const text = textWithout(elem, NOT_SHELF_PRICE_SELECTOR);
+      if (text.includes('j.m.')) continue;
+
+      const price = findShelfPrice(text);
+      if (price !== null) return price;
+    }
+
+    // Fall back to the first price in the card that isn't a unit price or old price
+    return findShelfPrice(textWithout(card, NOT_SHELF_PRICE_SELECTOR).replace(/Cijena za j\.m\.:?[^€]*€/gi, ''));
+  }
+
+  /**
+   * Find the first money amount in a text that isn't a unit price ("€/kg")
+   * @param {string} text - Text to search
+   * @returns {number|null} Amount in €, or null if none
+   */
+  function findShelfPrice(text) {
+    const amount = findMoney(text).find(({ end }) => !/^\s*\//.test(text.slice(end)));
+    return amount ? amount.value : null;
+  }
+
+  /**
+   * Extract the struck-through price shown before a discount
+   * @param {HTMLElement} card - The product card element
+   * @returns {number|null} Old price in €, or null if the card shows none
+   */
+  function extractOldPrice(card) {
+    const oldPrices = card.querySelectorAll('del, s, [class*="old"], [class*="Old"], [class*="strike"]');
+    for (let elem of oldPrices) {
+      const price = parseMoney(elem.textContent);
+      if (price !== null) return price;
+
+      // Old prices are sometimes shown without "€"
+      const bare = elem.textContent.match(BARE_AMOUNT_REGEX);
+      if (bare) return parseAmount(bare[1]);
+    }
+    return null;
+  }
+
+  /**
+   * Extract the brand shown on a product card
+   * @param {HTMLElement} card - The product card element
+   * @returns {string|null} Brand name, or null if the card shows none
+   */
+  function extractBrand(card) {
+    const brand = card.querySelector('[class*="brand"], [class*="Brand"]');
+    const text = brand ? brand.textContent.trim() : '';
+    return text || null;
+  }
+
+  /**
+   * Extract the discount percentage from a badge like "-30%"
+   * @param {HTMLElement} card - The product card element
+   * @returns {number|null} Discount in percent, or null if not on sale
+   */
+  function extractDiscount(card) {
+    const match = card.textContent.match(/[-−]\s*(\d{1,2})\s*%/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Check whether the card says the product can't be bought right now
+   * @param {HTMLElement} card - The product card element
+   * @returns {boolean} False if sold out or unavailable
+   */
+  function extractAvailability(card) {
+    if (/nije dostupn|rasprodan|nema na zalihi|trenutno nedostupn/i.test(card.textContent)) return false;
+    if (card.querySelector('[class*="unavailable"], [class*="out-of-stock"], [class*="sold-out"]')) return false;
+    return true;
+  }
+
+  /**
+   * Extract short badge texts like "Akcija", "Novo" or "-20%"
+   * @param {HTMLElement} card - The product card element
+   * @returns {Array<string>} Unique badge texts
+   */
+  function extractBadges(card) {
+    const badges = new Set();
+    card.querySelectorAll('[class*="badge"], [class*="sticker"], [class*="label"], [class*="flag"]').forEach(elem => {
+      if (elem.closest('.konzum-unit-tag')) return;
+      const text = elem.textContent.trim().replace(/\s+/g, ' ');
+      if (text && text.length <= 30) badges.add(text);
+    });
+    return Array.from(badges);
+  }
+
+  /**
+   * Extract the product image URL, including lazy-loaded images
+   * @param {HTMLElement} card - The product card element
+   * @returns {string|null} Image URL, or null if the card has no image
+   */
+  function extractImageUrl(card) {
+    const img = card.querySelector('img');
+    if (!img) return null;
+
+    const srcset = img.getAttribute('data-srcset') || img.getAttribute('srcset');
+    const src = img.getAttribute('data-src') || img.getAttribute('src') ||
+      (srcset ? srcset.split(',')[0].trim().split(/\s+/)[0] : null);
+    return src || null;
+  }
+
+  /**
+   * Parse a product card into a product record
+   * @param {HTMLElement} card - The product card element, from the live page or a fetched one
+   * @returns {Product} Product record
+   */
+  function parseProductCard(card) {
+    const name = extractName(card);
+    const url = extractUrl(card);
+    const price = extractShelfPrice(card);
+    const oldPrice = extractOldPrice(card);
+
+    // Quantity is usually in the name, some cards show it separately
+    const quantityElement = card.querySelector('[class*="quantity"], [class*="weight"], [class*="package"], [class*="pakiranje"]');
+    const quantity = parseQuantity(name) || (quantityElement ? parseQuantity(quantityElement.textContent) : null);
+
+    const unitPrice = extractUnitPrice(card);
+
+    // Flag prices the card shows but the parser didn't recognize, so markup changes don't go unnoticed
+    const parseErrors = [];
+    const text = card.textContent;
+    if (price === null && /€|EUR|lip[ae]\b/i.test(text)) parseErrors.push('price');
+    if (unitPrice === null && /j\.m\./i.test(text)) parseErrors.push('unitPrice');
+
+    let discount = extractDiscount(card);
+    if (discount === null && price !== null && oldPrice !== null && oldPrice > price) {
+      discount = Math.round((1 - price / oldPrice) * 100);
+    }
+
+    return {
+      id: extractId(card, url),
+      url: url,
+      name: name,
+      brand: extractBrand(card),
+      price: price,
+      oldPrice: oldPrice,
+      discount: discount,
+      // Fall back to a computed unit price so fewer products drop out of the ranking
+      unitPrice: unitPrice || computeUnitPrice(price, quantity),
+      quantity: quantity,
+      size: getPackageSize(quantity),
+      available: extractAvailability(card),
+      badges: extractBadges(card),
+      imageUrl: extractImageUrl(card),
+      parseErrors: parseErrors
+    };
+  }
+
+  /**
+   * Check if a product is on sale: a discount, an old price or an "Akcija" badge
+   * @param {Product} product - Product record
+   * @returns {boolean} True if on sale
+   */
+  function isOnSale(product) {
+    return product.discount !== null || product.oldPrice != null ||
+      (product.badges || []).some(badge => /akcij/i.test(badge));
+  }
+
+  /**
+   * Parse a product page into a product record, for watched products checked in the background
+   * The product's block is the closest ancestor of the page title that shows a
+   * price, so related products further down the page are left out.
+   * @param {Document} doc - Product page
+   * @param {string} url - URL of the product page
+   * @returns {Product|null} Product record, or null if the page has no product title
+   */
+  function parseProductPage(doc, url) {
+    const title = doc.querySelector('h1');
+    if (!title) return null;
+
+    let block = title;
+    while (block.parentElement && findMoney(textWithout(block, NOT_SHELF_PRICE_SELECTOR)).length === 0) {
+      block = block.parentElement;
+    }
+
+    const product = parseProductCard(block);
+    const name = title.textContent.trim().replace(/\s+/g, ' ');
+    const quantity = product.quantity || parseQuantity(name);
+    return {
+      ...product,
+      id: extractId(block.closest('[data-product-id], [data-id], [data-sku]') || block, url),
+      url: url,
+      name: name,
+      quantity: quantity,
+      size: getPackageSize(quantity),
+      unitPrice: product.unitPrice || computeUnitPrice(product.price, quantity)
+    };
+  }
+
+  const api = {
+    UNIT_ORDER: UNIT_ORDER,
+    normalizeUnitPrice: normalizeUnitPrice,
+    normalizeQuantity: normalizeQuantity,
+    parseMoney: parseMoney,
+    parseUnitPrice: parseUnitPrice,
+    formatUnit: formatUnit,
+    getUnitGroupIndex: getUnitGroupIndex,
+    extractUnitPrice: extractUnitPrice,
+    parseQuantity: parseQuantity,
+    getPackageSize: getPackageSize,
+    extractPackageSize: extractPackageSize,
+    computeUnitPrice: computeUnitPrice,
+    getPacksForAmount: getPacksForAmount,
+    parseProductCard: parseProductCard,
+    isOnSale: isOnSale,
+    parseProductPage: parseProductPage
+  };
+
+  globalThis.KonzumSorterProduct = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
@@ -0,0 +1,299 @@
+/**
+ * Konzum Unit Price Sorter - Settings
+ * User preferences shared by the content script and the options page
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  /**
+   * Default preferences, used for anything not saved in storage yet
+   */
+  const DEFAULT_SETTINGS = {
+    defaultDirection: 'asc', // 'asc' or 'desc'
+    autoApply: false, // Sort by unit price as soon as a listing loads
+    scope: 'global', // 'global' (all pages) or 'page' (current page only)
+    unpricedPlacement: 'end', // Where products without unit price go: 'end' or 'start'
+    primarySort: 'unitPrice', // Key the button bar sorts by first
+    secondarySort: { key: 'price', dir: 'asc' }, // Tie-breaker after the primary key, key '' for none
+    unitBadges: true, // Show unit price rank and comparison badges on every card
+    bestValueCount: 3, // Cheapest products per unit highlighted as "Najbolja vrijednost", 0 for none
+    priceHistory: true, // Record prices seen in extension storage and show trends and the lowest price in 30 days
+    exportDelimiter: ';', // CSV column delimiter: ';' for Excel with Croatian settings, or ','
+    notifications: true, // Show toast messages after sorting
+    notificationDuration: 2000, // Toast duration in ms
+    rememberSort: 'site', // Re-apply the last unit price sort: 'site', 'category' or 'off'
+    debug: false // Log debug messages to the console
+  };
+
+  /**
+   * Get the extension storage area used for preferences
+   * @returns {chrome.storage.StorageArea|null} Sync storage, or null outside the extension
+   */
+  function getStorage() {
+    const api = globalThis.browser || globalThis.chrome;
+    return api && api.storage ? api.storage.sync : null;
+  }
+
+  /**
+   * Load preferences, filling in defaults for anything not saved
+   * @returns {Promise<Object>} Current preferences
+   */
+  async function loadSettings() {
+    const storage = getStorage();
+    if (!storage) return { ...DEFAULT_SETTINGS };
+
+    try {
+      const saved = await storage.get(DEFAULT_SETTINGS);
+      return { ...DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+      console.warn('[Konzum Sorter] Could not load settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Save some or all preferences
+   * @param {Object} changes - Preferences to update
+   * @returns {Promise<void>}
+   */
+  async function saveSettings(changes) {
+    const storage = getStorage();
+    if (!storage) return;
+    await storage.set(changes);
+  }
+
+  /**
+   * Call back whenever preferences change, e.g. from the options page
+   * @param {function(Object, Object): void} callback - Called with the full new preferences and the changed keys
+   */
+  function onSettingsChanged(callback) {
+    const api = globalThis.browser || globalThis.chrome;
+    if (!api || !api.storage) return;
+
+    api.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') return;
+
+      const changed = {};
+      Object.keys(changes).forEach(key => {
+        if (key in DEFAULT_SETTINGS) changed[key] = changes[key].newValue;
+      });
+      if (Object.keys(changed).length === 0) return;
+
+      loadSettings().then(settings => callback(settings, changed));
+    });
+  }
+
+  // Key in local storage holding the last chosen sort per site or category
+  const SAVED_SORTS_KEY = 'savedSorts';
+
+  /**
+   * Get the extension storage area used for state that stays on this device
+   * @returns {chrome.storage.StorageArea|null} Local storage, or null outside the extension
+   */
+  function getLocalStorage() {
+    const api = globalThis.browser || globalThis.chrome;
+    return api && api.storage ? api.storage.local : null;
+  }
+
+  /**
+   * Load the remembered sort for a site or category
+   * @param {string} scopeKey - "site" or a category path
+   * @returns {Promise<{ascending: boolean, primaryKey: (string|undefined), savedAt: number}|null>} Remembered sort,
+   *   or null if none; primaryKey is one of SORT_KEYS, the unit price if missing
+   */
+  async function loadSavedSort(scopeKey) {
+    const storage = getLocalStorage();
+    if (!storage) return null;
+
+    try {
+      const { [SAVED_SORTS_KEY]: savedSorts = {} } = await storage.get(SAVED_SORTS_KEY);
+      return savedSorts[scopeKey] || null;
+    } catch (error) {
+      console.warn('[Konzum Sorter] Could not load saved sort:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember a sort for a site or category, or forget it
+   * @param {string} scopeKey - "site" or a category path
+   * @param {{ascending: boolean, primaryKey: string}|null} sort - Sort to remember, or null to clear it
+   * @returns {Promise<void>}
+   */
+  async function saveSavedSort(scopeKey, sort) {
+    const storage = getLocalStorage();
+    if (!storage) return;
+
+    const { [SAVED_SORTS_KEY]: savedSorts = {} } = await storage.get(SAVED_SORTS_KEY);
+    if (sort) {
+      savedSorts[scopeKey] = { ...sort, savedAt: Date.now() };
+    } else {
+      delete savedSorts[scopeKey];
+    }
+    await storage.set({ [SAVED_SORTS_KEY]: savedSorts });
+  }
+
+  // Key in local storage holding the products loaded from all pages, by listing
+  const PRODUCT_CACHE_KEY = 'productCache';
+
+  // Key in local storage holding how far the merged list was scrolled
+  const SCROLL_POSITION_KEY = 'scrollPosition';
+
+  /**
+   * Load the cached products of all listings
+   * @returns {Promise<Object<string, Object>>} Cache entries by listing, empty if none
+   */
+  async function loadProductCache() {
+    const storage = getLocalStorage();
+    if (!storage) return {};
+
+    try {
+      const { [PRODUCT_CACHE_KEY]: cache = {} } = await storage.get(PRODUCT_CACHE_KEY);
+      return cache;
+    } catch (error) {
+      console.warn('[Konzum Sorter] Could not load cached products:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Replace the cached products of all listings
+   * @param {Object<string, Object>} cache - Cache entries by listing
+   * @returns {Promise<void>}
+   */
+  async function saveProductCache(cache) {
+    const storage = getLocalStorage();
+    if (!storage) return;
+    await storage.set({ [PRODUCT_CACHE_KEY]: cache });
+  }
+
+  /**
+   * Load the scroll position saved for the merged list
+   * @returns {Promise<Object|null>} Saved position, or null if none
+   */
+  async function loadScrollPosition() {
+    const storage = getLocalStorage();
+    if (!storage) return null;
+
+    try {
+      const { [SCROLL_POSITION_KEY]: position = null } = await storage.get(SCROLL_POSITION_KEY);
+      return position;
+    } catch (error) {
+      console.warn('[Konzum Sorter] Could not load scroll position:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save how far the merged list is scrolled
+   * @param {Object} position - Position to restore, see content.js
+   * @returns {Promise<void>}
+   */
+  async function saveScrollPosition(position) {
+    const storage = getLocalStorage();
+    if (!storage) return;
+    await storage.set({ [SCROLL_POSITION_KEY]: position });
+  }
+
+  // Each watched product is stored under its own key, e.g. "watch:123456", so
+  // the background checks and a tab editing another product don't overwrite each other
+  const WATCH_KEY_PREFIX = 'watch:';
+
+  /**
+   * Load the watched products
+   * @returns {Promise<Object<string, Object>>} Watch entries by product key, empty if none
+   */
+  async function loadWatchlist() {
+    const storage = getLocalStorage();
+    if (!storage) return {};
+
+    try {
+      // Where the keys can be listed on their own, the price history kept next to the watches isn't read
+      const stored = typeof storage.getKeys === 'function' ?
+        await storage.get((await storage.getKeys()).filter(storageKey => storageKey.startsWith(WATCH_KEY_PREFIX))) :
+        await storage.get(null);
+
+      const watchlist = {};
+      Object.keys(stored).forEach(storageKey => {
+        if (storageKey.startsWith(WATCH_KEY_PREFIX)) watchlist[storageKey.slice(WATCH_KEY_PREFIX.length)] = stored[storageKey];
+      });
+      return watchlist;
+    } catch (error) {
+      console.warn('[Konzum Sorter] Could not load watchlist:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Watch a product, or stop watching it
+   * @param {string} key - Product key
+   * @param {Object|null} entry - Watch entry, or null to remove it
+   * @returns {Promise<void>}
+   */
+  async function saveWatch(key, entry) {
+    const storage = getLocalStorage();
+    if (!storage) return;
+
+    if (entry) {
+      await storage.set({ [WATCH_KEY_PREFIX + key]: entry });
+    } else {
+      await storage.remove(WATCH_KEY_PREFIX + key);
+    }
+  }
+
+  /**
+   * Change some fields of a watched product; nothing happens if it's no longer watched
+   * @param {string} key - Product key
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<void>}
+   */
+  async function updateWatch(key, changes) {
+    const storage = getLocalStorage();
+    if (!storage) return;
+
+    const { [WATCH_KEY_PREFIX + key]: entry } = await storage.get(WATCH_KEY_PREFIX + key);
+    if (!entry) return;
+    await storage.set({ [WATCH_KEY_PREFIX + key]: { ...entry, ...changes } });
+  }
+
+  /**
+   * Call back whenever watched products change, in any tab or in the background
+   * @param {function(Object<string, (Object|null)>): void} callback - Called with the changed watch entries by
+   *   product key, null for products no longer watched
+   */
+  function onWatchlistChanged(callback) {
+    const api = globalThis.browser || globalThis.chrome;
+    if (!api || !api.storage) return;
+
+    api.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+
+      const changed = {};
+      Object.keys(changes).forEach(storageKey => {
+        if (!storageKey.startsWith(WATCH_KEY_PREFIX)) return;
+        changed[storageKey.slice(WATCH_KEY_PREFIX.length)] = changes[storageKey].newValue || null;
+      });
+      if (Object.keys(changed).length > 0) callback(changed);
+    });
+  }
+
+  globalThis.KonzumSorterSettings = {
+    DEFAULT_SETTINGS: DEFAULT_SETTINGS,
+    loadSettings: loadSettings,
+    saveSettings: saveSettings,
+    onSettingsChanged: onSettingsChanged,
+    loadSavedSort: loadSavedSort,
+    saveSavedSort: saveSavedSort,
+    loadProductCache: loadProductCache,
+    saveProductCache: saveProductCache,
+    loadScrollPosition: loadScrollPosition,
+    saveScrollPosition: saveScrollPosition,
+    loadWatchlist: loadWatchlist,
+    saveWatch: saveWatch,
+    updateWatch: updateWatch,
+    onWatchlistChanged: onWatchlistChanged
+  };
+})();
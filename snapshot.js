@@ -0,0 +1,94 @@
+/**
+ * Konzum Unit Price Sorter - Listing snapshot
+ * Records a listing before it is sorted so the sort can be undone exactly
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  /**
+   * Record all attributes of an element
+   * @param {Element} elem - Element to record
+   * @returns {Array<[string, string]>} Attribute names and values
+   */
+  function readAttributes(elem) {
+    return Array.from(elem.attributes, attr => [attr.name, attr.value]);
+  }
+
+  /**
+   * Put back recorded attributes, removing any added since
+   * @param {Element} elem - Element to restore
+   * @param {Array<[string, string]>} attributes - Recorded attributes
+   */
+  function writeAttributes(elem, attributes) {
+    const names = new Set(attributes.map(([name]) => name));
+    Array.from(elem.attributes).forEach(attr => {
+      if (!names.has(attr.name)) elem.removeAttribute(attr.name);
+    });
+    attributes.forEach(([name, value]) => {
+      if (elem.getAttribute(name) !== value) elem.setAttribute(name, value);
+    });
+  }
+
+  /**
+   * Record a listing before sorting it
+   * @param {Array<Element>} parents - Elements whose children get reordered or replaced (card containers)
+   * @param {Array<Element>} [others=[]] - Further elements whose attributes may change, e.g. pagination
+   * @param {Object} [options] - Snapshot options
+   * @param {function(Node): boolean} [options.isOwn] - True for nodes the extension added, dropped on restore
+   * @returns {{isConnected: function(): boolean, restore: function(): void}} Snapshot
+   */
+  function snapshotListing(parents, others = [], { isOwn = () => false } = {}) {
+    const children = new Map();
+    const attributes = new Map();
+
+    parents.forEach(parent => {
+      const nodes = Array.from(parent.childNodes);
+      children.set(parent, nodes);
+      attributes.set(parent, readAttributes(parent));
+      nodes.forEach(node => {
+        if (node.nodeType === 1) attributes.set(node, readAttributes(node));
+      });
+    });
+    others.forEach(elem => attributes.set(elem, readAttributes(elem)));
+
+    const recorded = new Set([].concat(...children.values()));
+
+    /**
+     * Put the original children and attributes back
+     * Nodes the site added meanwhile are kept after the original ones;
+     * recorded nodes the site removed stay removed
+     */
+    function restore() {
+      // Decide what goes where before moving anything, since restoring
+      // one parent takes moved cards out of another
+      const restored = new Map();
+      children.forEach((nodes, parent) => {
+        if (!parent.isConnected) return;
+        const kept = nodes.filter(node => node.isConnected);
+        const added = Array.from(parent.childNodes).filter(node => !recorded.has(node) && !isOwn(node));
+        restored.set(parent, kept.concat(added));
+      });
+
+      restored.forEach((nodes, parent) => parent.replaceChildren(...nodes));
+
+      attributes.forEach((attrs, elem) => {
+        if (elem.isConnected) writeAttributes(elem, attrs);
+      });
+    }
+
+    return {
+      isConnected: () => parents.every(parent => parent.isConnected),
+      restore: restore
+    };
+  }
+
+  const api = {
+    snapshotListing: snapshotListing
+  };
+
+  globalThis.KonzumSorterSnapshot = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
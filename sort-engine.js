@@ -0,0 +1,164 @@
+/**
+ * Konzum Unit Price Sorter - Sort engine
+ * Keeps a sorted listing sorted while the site re-renders it, without polling
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  /**
+   * Check whether two lists hold the same cards, in any order
+   * @param {Set<HTMLElement>} known - Cards seen after the last sort
+   * @param {Array<HTMLElement>} cards - Cards in the listing now
+   * @returns {boolean} True if no card was added or removed
+   */
+  function isSameCardSet(known, cards) {
+    return known.size === cards.length && cards.every(card => known.has(card));
+  }
+
+  /**
+   * Create the engine that watches a sorted listing
+   *
+   * One MutationObserver watches the product container. When the set of cards
+   * changes (the site re-rendered or loaded more products) the listing is
+   * re-sorted once the changes settle. When only a card's inline "order" is
+   * lost, it is restored without a re-sort. The engine doesn't observe while
+   * it or the caller writes to the listing, so it never triggers itself, and
+   * it holds no timers while stopped.
+   * @param {Object} options - Engine options
+   * @param {function(): Array<HTMLElement>} options.getCards - Product cards currently in the listing
+   * @param {function(): void} options.resort - Re-sort the listing; expected to call watch() again when done
+   * @param {number} [options.debounce=150] - Time in ms to wait for changes to settle
+   * @param {function(...any): void} [options.log] - Debug logger
+   * @returns {{watch: function(HTMLElement): void, stop: function(): void, write: function(function(): *, Object=): *, isActive: function(): boolean}} Engine
+   */
+  function createSortEngine({ getCards, resort, debounce = 150, log = () => {} }) {
+    let container = null;
+    let observer = null;
+    let knownCards = new Set();
+    let timer = null;
+
+    const OBSERVE_OPTIONS = {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style']
+    };
+
+    /**
+     * Re-sort if cards were added or removed since the last sort
+     */
+    function checkCards() {
+      timer = null;
+      if (!container) return;
+
+      const cards = getCards();
+      if (isSameCardSet(knownCards, cards)) return;
+
+      log(`Card set changed (${knownCards.size} → ${cards.length}), re-sorting`);
+      knownCards = new Set(cards);
+      resort();
+    }
+
+    /**
+     * Put back the inline order of cards that lost it
+     * @param {Array<HTMLElement>} cards - Cards whose style changed
+     */
+    function restoreOrder(cards) {
+      write(() => {
+        cards.forEach(card => card.style.setProperty('order', card.getAttribute('data-sort-order'), 'important'));
+      });
+      log(`Restored order of ${cards.length} cards`);
+    }
+
+    /**
+     * Handle the mutations of one batch
+     * @param {Array<MutationRecord>} mutations - Changes since the last batch
+     */
+    function handleMutations(mutations) {
+      let childrenChanged = false;
+      const lostOrder = new Set();
+
+      for (let mutation of mutations) {
+        if (mutation.type === 'childList') {
+          // Changes inside a card (steppers, badges) don't change the card set
+          if (mutation.target === container) childrenChanged = true;
+        } else if (mutation.target.hasAttribute('data-sort-order') &&
+            mutation.target.style.order !== mutation.target.getAttribute('data-sort-order')) {
+          lostOrder.add(mutation.target);
+        }
+      }
+
+      if (lostOrder.size > 0) restoreOrder(Array.from(lostOrder));
+      if (!childrenChanged) return;
+
+      clearTimeout(timer);
+      timer = setTimeout(checkCards, debounce);
+    }
+
+    /**
+     * Start watching a sorted listing, taking its current cards as sorted
+     * @param {HTMLElement} target - Element holding the product cards
+     */
+    function watch(target) {
+      stop();
+      container = target;
+      knownCards = new Set(getCards());
+      observer = observer || new MutationObserver(handleMutations);
+      observer.observe(container, OBSERVE_OPTIONS);
+      log(`Sort engine watching ${knownCards.size} cards`);
+    }
+
+    /**
+     * Stop watching and cancel any pending re-sort
+     */
+    function stop() {
+      if (observer) observer.disconnect();
+      clearTimeout(timer);
+      timer = null;
+      container = null;
+    }
+
+    /**
+     * Change the listing without the engine reacting to the change
+     * @param {function(): *} fn - Function that writes to the listing
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.cardsChanged=false] - The write adds or removes cards, take the new set as sorted
+     * @returns {*} Result of fn
+     */
+    function write(fn, { cardsChanged = false } = {}) {
+      if (!container) return fn();
+
+      // Changes the site made just before this write aren't delivered yet; keep them
+      const pending = observer.takeRecords();
+      const siteChangedCards = pending.some(mutation => mutation.type === 'childList' && mutation.target === container) &&
+        !isSameCardSet(knownCards, getCards());
+
+      observer.disconnect();
+      try {
+        return fn();
+      } finally {
+        // Cards the site added or removed are still unsorted, so keep the old set to re-sort them
+        if (cardsChanged && !siteChangedCards) knownCards = new Set(getCards());
+        observer.observe(container, OBSERVE_OPTIONS);
+        if (pending.length > 0) handleMutations(pending);
+      }
+    }
+
+    return {
+      watch: watch,
+      stop: stop,
+      write: write,
+      isActive: () => container !== null
+    };
+  }
+
+  const api = {
+    createSortEngine: createSortEngine
+  };
+
+  globalThis.KonzumSorterEngine = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
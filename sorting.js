@@ -0,0 +1,287 @@
+/**
+ * Konzum Unit Price Sorter - Sorting
+ * Comparators and sort specs for parsed product records
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  const { formatUnit, getUnitGroupIndex, getPacksForAmount } = globalThis.KonzumSorterProduct || require('./product.js');
+
+  /**
+   * Keys products can be sorted by, with their labels in the sort controls
+   * and the phrase used in notifications ("Sortirano po ...")
+   * Keys with needsAmount are only used once an amount is entered in "Trebam:",
+   * so they aren't offered in the sort key selects.
+   */
+  const SORT_KEYS = {
+    unitPrice: { label: 'Cijena za j.m.', phrase: 'po cijeni za j.m.' },
+    price: { label: 'Cijena', phrase: 'po cijeni' },
+    name: { label: 'Naziv', phrase: 'po nazivu' },
+    size: { label: 'Veličina pakiranja', phrase: 'po veličini pakiranja' },
+    brand: { label: 'Marka', phrase: 'po marki' },
+    discount: { label: 'Popust', phrase: 'po popustu' },
+    needCost: { label: 'Cijena za potrebnu količinu', phrase: 'po cijeni za potrebnu količinu', needsAmount: true }
+  };
+
+  // Croatian collation so "Č", "Ć", "Đ", "Š" and "Ž" sort where shoppers expect them
+  const nameCollator = new Intl.Collator('hr', { sensitivity: 'base', numeric: true });
+
+  /**
+   * Compare two products by unit price, grouping them by unit first
+   * so that €/kg, €/l and €/kom prices are never ranked against each other.
+   * Products without a unit price go to the end, or to the start if set so in the options.
+   * @param {{unitPrice: ({value: number, unit: string|null}|null)}} a - First product
+   * @param {{unitPrice: ({value: number, unit: string|null}|null)}} b - Second product
+   * @param {boolean} ascending - True for ascending sort, false for descending
+   * @param {string} [unpricedPlacement='end'] - Where products without unit price go: 'end' or 'start'
+   * @returns {number} Comparator result
+   */
+  function compareByUnitPrice(a, b, ascending, unpricedPlacement = 'end') {
+    const unpricedFirst = unpricedPlacement === 'start';
+    if (a.unitPrice === null && b.unitPrice === null) return 0;
+    if (a.unitPrice === null) return unpricedFirst ? -1 : 1;
+    if (b.unitPrice === null) return unpricedFirst ? 1 : -1;
+
+    const groupDiff = getUnitGroupIndex(a.unitPrice.unit) - getUnitGroupIndex(b.unitPrice.unit);
+    if (groupDiff !== 0) return groupDiff;
+
+    // Unknown units share one group, keep same units together inside it
+    if (a.unitPrice.unit !== b.unitPrice.unit) {
+      return String(a.unitPrice.unit).localeCompare(String(b.unitPrice.unit));
+    }
+
+    return ascending ? a.unitPrice.value - b.unitPrice.value : b.unitPrice.value - a.unitPrice.value;
+  }
+
+  /**
+   * Compare two products by a single sort key
+   * Missing values always go to the end, except unit prices which follow the options
+   * @param {Object} a - First product
+   * @param {Object} b - Second product
+   * @param {string} key - One of SORT_KEYS
+   * @param {boolean} ascending - True for ascending sort, false for descending
+   * @param {{unpricedPlacement: string, need: ({value: number, unit: string}|null)}} [options] - Sort options from the settings, and the amount needed for needCost
+   * @returns {number} Comparator result
+   */
+  function compareByKey(a, b, key, ascending, options = {}) {
+    if (key === 'unitPrice') return compareByUnitPrice(a, b, ascending, options.unpricedPlacement);
+
+    // Products whose size can't reach the amount in its unit go to the end
+    const valueOf = product => {
+      if (key !== 'needCost') return product[key];
+      const packs = getPacksForAmount(product, options.need);
+      return packs ? packs.total : null;
+    };
+    const valueA = valueOf(a);
+    const valueB = valueOf(b);
+    if (valueA == null && valueB == null) return 0;
+    if (valueA == null) return 1;
+    if (valueB == null) return -1;
+
+    let diff;
+    if (key === 'name' || key === 'brand') {
+      diff = nameCollator.compare(valueA, valueB);
+    } else if (key === 'size') {
+      // Sizes in kg, l and kom are grouped like unit prices
+      const groupDiff = getUnitGroupIndex(valueA.unit) - getUnitGroupIndex(valueB.unit);
+      if (groupDiff !== 0) return groupDiff;
+      diff = valueA.value - valueB.value;
+    } else {
+      diff = valueA - valueB;
+    }
+    return ascending ? diff : -diff;
+  }
+
+  /**
+   * Compare two products by a sort spec, using later keys to break ties
+   * @param {Object} a - First product
+   * @param {Object} b - Second product
+   * @param {Array<{key: string, dir: string}>} spec - Sort keys in order of priority, dir is 'asc' or 'desc'
+   * @param {{unpricedPlacement: string, need: ({value: number, unit: string}|null)}} [options] - Sort options, see compareByKey
+   * @returns {number} Comparator result
+   */
+  function compareProducts(a, b, spec, options = {}) {
+    for (let { key, dir } of spec) {
+      const result = compareByKey(a, b, key, dir !== 'desc', options);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  /**
+   * Describe a sort spec for notifications, e.g. "po cijeni za j.m.: najniža → najviša, zatim po nazivu"
+   * @param {Array<{key: string, dir: string}>} spec - Sort spec
+   * @returns {string} Description
+   */
+  function describeSortSpec(spec) {
+    const [primary, ...rest] = spec;
+    const direction = primary.dir !== 'desc' ? 'najniža → najviša' : 'najviša → najniža';
+    let text = `${SORT_KEYS[primary.key].phrase}: ${direction}`;
+
+    // The name tie-breaker is implied, only mention other secondary keys
+    const secondary = rest.find(item => item.key !== 'name');
+    if (secondary) {
+      text += `, zatim ${SORT_KEYS[secondary.key].phrase} ${secondary.dir !== 'desc' ? '↑' : '↓'}`;
+    }
+    return text;
+  }
+
+  /**
+   * Build the sort spec for a sort: the chosen primary key, the secondary key
+   * from the sort controls, and the product name as the final tie-breaker
+   * @param {boolean} ascending - Direction of the primary key
+   * @param {string} [primaryKey='unitPrice'] - One of SORT_KEYS
+   * @param {{key: string, dir: string}|null} [secondary] - Secondary key from the settings
+   * @returns {Array<{key: string, dir: string}>} Sort spec
+   */
+  function buildSortSpec(ascending, primaryKey = 'unitPrice', secondary = null) {
+    const spec = [{ key: primaryKey, dir: ascending ? 'asc' : 'desc' }];
+
+    if (secondary && secondary.key && secondary.key !== primaryKey && SORT_KEYS[secondary.key]) {
+      spec.push({ key: secondary.key, dir: secondary.dir });
+    }
+    if (!spec.some(item => item.key === 'name')) {
+      spec.push({ key: 'name', dir: 'asc' });
+    }
+    return spec;
+  }
+
+  /**
+   * Summarize how many products fall in each unit group, e.g. "12 €/kg, 3 €/kom"
+   * @param {Array<{unitPrice: ({unit: string|null}|null)}>} products - Products with unit prices
+   * @returns {string} Summary text for notifications
+   */
+  function summarizeUnitGroups(products) {
+    const counts = new Map();
+    products.forEach(product => {
+      if (!product.unitPrice) return;
+      const label = formatUnit(product.unitPrice.unit);
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+    return Array.from(counts, ([label, count]) => `${count} ${label}`).join(', ');
+  }
+
+  /**
+   * @typedef {Object} UnitPriceRank
+   * @property {number} rank - 1 for the cheapest in its unit group; equal prices share a rank
+   * @property {number} total - Number of products in the unit group
+   * @property {boolean} best - True for the cheapest products of the group ("Najbolja vrijednost")
+   * @property {number|null} percentAbove - How much dearer than the cheapest, in percent
+   */
+
+  /**
+   * Rank products by unit price within their unit group (€/kg, €/l, €/kom)
+   * @param {Array<{unitPrice: ({value: number, unit: string|null}|null)}>} products - Products to rank
+   * @param {number} [bestCount=3] - How many of the cheapest per group count as best value
+   * @returns {Map<Object, UnitPriceRank>} Rank of each product that has a unit price
+   */
+  function rankByUnitPrice(products, bestCount = 3) {
+    const groups = new Map();
+    products.forEach(product => {
+      if (!product.unitPrice) return;
+      const unit = product.unitPrice.unit;
+      if (!groups.has(unit)) groups.set(unit, []);
+      groups.get(unit).push(product);
+    });
+
+    const ranks = new Map();
+    groups.forEach(group => {
+      const values = group.map(product => product.unitPrice.value).sort((a, b) => a - b);
+      const cheapest = values[0];
+
+      // Rank of each price: the position of its first occurrence, so equal prices share it
+      const rankOf = new Map();
+      values.forEach((value, index) => {
+        if (!rankOf.has(value)) rankOf.set(value, index + 1);
+      });
+
+      group.forEach(product => {
+        const value = product.unitPrice.value;
+        const rank = rankOf.get(value);
+        ranks.set(product, {
+          rank: rank,
+          total: group.length,
+          // A product alone in its group isn't compared with anything
+          best: group.length > 1 && rank <= bestCount,
+          percentAbove: cheapest > 0 ? Math.round((value / cheapest - 1) * 100) : null
+        });
+      });
+    });
+    return ranks;
+  }
+
+  /**
+   * @typedef {Object} UnitPriceStats
+   * @property {string|null} unit - Base unit of the group
+   * @property {number} count - Products in the group
+   * @property {number} min - Lowest unit price
+   * @property {number} median - Median unit price
+   * @property {number} max - Highest unit price
+   */
+
+  /**
+   * Summarize the unit prices of a list, for the toolbar popup
+   * Best value products come from the largest unit group, since prices per kg,
+   * per l and per piece can't be ranked against each other.
+   * @param {Array<Object>} products - Product records
+   * @param {number} [bestCount=5] - How many of the cheapest products to list
+   * @returns {{count: number, withUnitPrice: number, units: Array<UnitPriceStats>, best: Array<Object>}}
+   *   Counts, stats per unit group in sort order, and the cheapest products of the largest group
+   */
+  function summarizeUnitPrices(products, bestCount = 5) {
+    const groups = new Map();
+    products.forEach(product => {
+      if (!product.unitPrice) return;
+      const unit = product.unitPrice.unit;
+      if (!groups.has(unit)) groups.set(unit, []);
+      groups.get(unit).push(product);
+    });
+
+    const units = Array.from(groups, ([unit, group]) => {
+      const values = group.map(product => product.unitPrice.value).sort((a, b) => a - b);
+      const middle = Math.floor(values.length / 2);
+      return {
+        unit: unit,
+        count: values.length,
+        min: values[0],
+        median: values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2,
+        max: values[values.length - 1]
+      };
+    }).sort((a, b) => getUnitGroupIndex(a.unit) - getUnitGroupIndex(b.unit));
+
+    // Ties in size go to the unit that comes first in the sort
+    const largest = units.reduce((found, stats) => (!found || stats.count > found.count ? stats : found), null);
+    const best = largest
+      ? groups.get(largest.unit)
+        .slice()
+        .sort((a, b) => a.unitPrice.value - b.unitPrice.value || nameCollator.compare(a.name || '', b.name || ''))
+        .slice(0, bestCount)
+      : [];
+
+    return {
+      count: products.length,
+      withUnitPrice: products.filter(product => product.unitPrice).length,
+      units: units,
+      best: best
+    };
+  }
+
+  const api = {
+    SORT_KEYS: SORT_KEYS,
+    nameCollator: nameCollator,
+    compareByUnitPrice: compareByUnitPrice,
+    compareByKey: compareByKey,
+    compareProducts: compareProducts,
+    describeSortSpec: describeSortSpec,
+    buildSortSpec: buildSortSpec,
+    summarizeUnitGroups: summarizeUnitGroups,
+    rankByUnitPrice: rankByUnitPrice,
+    summarizeUnitPrices: summarizeUnitPrices
+  };
+
+  globalThis.KonzumSorterSorting = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getDescriptiveWords,
+  buildSearchQuery,
+  getSearchUrl,
+  readCartQuantity,
+  getLineUnitPrice,
+  findSubstitutes,
+  summarizeBasket
+} = require('../basket.js');
+const { loadFixture, product } = require('./helpers');
+
+const milk = product('Dukat trajno mlijeko 2,8% m.m. 1 l', {
+  url: '/web/products/dukat-trajno-mlijeko',
+  unitPrice: { value: 1.39, unit: 'l' },
+  size: { value: 1, unit: 'l' }
+});
+
+test('buildSearchQuery leaves out the brand, sizes and abbreviations', () => {
+  assert.equal(buildSearchQuery(milk), 'trajno mlijeko');
+  assert.equal(buildSearchQuery(product('Jana prirodna mineralna voda 1,5 l')), 'prirodna mineralna voda');
+  assert.equal(buildSearchQuery(product('Z bregov trajno mlijeko 1 l')), 'trajno mlijeko');
+  assert.equal(buildSearchQuery(product('Podravka Čokoladni Napitak 400 g', { brand: 'Podravka' })), 'cokoladni napitak');
+  assert.deepEqual(getDescriptiveWords(product('Barilla Spaghetti n.5 500 g')), ['spaghetti']);
+  assert.equal(buildSearchQuery(product('1 kg')), '');
+});
+
+test('getSearchUrl builds a same-origin search URL', () => {
+  assert.equal(getSearchUrl('trajno mlijeko', 'https://www.konzum.hr/web/cart'), 'https://www.konzum.hr/web/search?q=trajno+mlijeko');
+});
+
+test('readCartQuantity reads the quantity field of a cart line', () => {
+  const lines = Array.from(loadFixture('cart.html', 'https://www.konzum.hr/web/cart').querySelectorAll('.cart-item'));
+  assert.deepEqual(lines.map(readCartQuantity), [2, 1, 6, 3]);
+  assert.equal(readCartQuantity(loadFixture('category.html').querySelector('article')), 1);
+});
+
+test('getLineUnitPrice divides a unit price computed from the line total by the quantity', () => {
+  assert.deepEqual(getLineUnitPrice({ unitPrice: { value: 11.94, unit: 'kg', computed: true } }, 3), { value: 3.98, unit: 'kg', computed: true });
+  assert.deepEqual(getLineUnitPrice(milk, 2), { value: 1.39, unit: 'l' });
+  assert.equal(getLineUnitPrice(product('Bez cijene'), 2), null);
+});
+
+test('findSubstitutes suggests cheaper comparable products with the saving for the line', () => {
+  const candidates = [
+    milk,
+    product('K Plus trajno mlijeko 2,8% m.m. 1 l', { url: '/web/products/k-plus-mlijeko', unitPrice: { value: 0.99, unit: 'l' } }),
+    product('Z bregov trajno mlijeko 2,8% m.m. 1,5 l', { url: '/web/products/z-bregov-mlijeko', unitPrice: { value: 1.19, unit: 'l' } }),
+    product('Dukat trajno mlijeko 0,9% m.m. 1 l', { url: '/web/products/dukat-light', unitPrice: { value: 1.09, unit: 'l' } }),
+    product('Dukat svježe mlijeko 2,8% m.m. 1 l', { url: '/web/products/dukat-svjeze', unitPrice: { value: 1.05, unit: 'l' } }),
+    product('Trajno mlijeko u prahu 2,8% 400 g', { url: '/web/products/prah', unitPrice: { value: 0.5, unit: 'kg' } }),
+    product('Vindija trajno mlijeko 2,8% m.m. 1 l', { url: '/web/products/vindija', unitPrice: { value: 1.49, unit: 'l' } }),
+    product('Rasprodano trajno mlijeko 2,8% 1 l', { url: '/web/products/rasprodano', unitPrice: { value: 0.5, unit: 'l' }, available: false })
+  ];
+
+  const substitutes = findSubstitutes({ product: milk, quantity: 2 }, candidates);
+  assert.deepEqual(substitutes.map(s => [s.product.url, s.percentCheaper, s.saving]), [
+    ['/web/products/k-plus-mlijeko', 29, 0.8],
+    ['/web/products/z-bregov-mlijeko', 14, 0.4]
+  ]);
+});
+
+test('findSubstitutes leaves the saving open when the package size is unknown', () => {
+  const line = { ...milk, size: null };
+  const cheaper = product('Trajno mlijeko 2,8% 1 l', { url: '/web/products/jeftino', unitPrice: { value: 1, unit: 'l' } });
+  assert.equal(findSubstitutes({ product: line, quantity: 1 }, [cheaper])[0].saving, null);
+  assert.deepEqual(findSubstitutes({ product: product('Bez cijene'), quantity: 1 }, [cheaper]), []);
+});
+
+test('summarizeBasket adds up the best substitute of each line', () => {
+  const summary = summarizeBasket([
+    { substitutes: [{ saving: 0.8 }, { saving: 0.4 }] },
+    { substitutes: [{ saving: 0.19 }] },
+    { substitutes: [{ saving: null }] },
+    { substitutes: [] }
+  ]);
+  assert.deepEqual(summary, { lines: 4, improvable: 3, saving: 0.99, unknown: 1 });
+});
@@ -0,0 +1,628 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { loadExtension, waitFor } = require('./helpers');
+
+const SEARCH_URL = 'https://www.konzum.hr/web/search?q=mlijeko';
+const CATEGORY_URL = 'https://www.konzum.hr/web/t/kategorije/namirnice/tjestenina';
+
+/**
+ * Choose an option in the sorting dropdown
+ * @param {Window} window - Page window
+ * @param {string} value - Option value
+ */
+function choose(window, value) {
+  const select = window.document.querySelector('select');
+  select.value = value;
+  select.dispatchEvent(new window.Event('change'));
+}
+
+/**
+ * Read the parts of the listing that sorting changes
+ * @param {Document} document - Page document
+ * @returns {string} Product list and pagination HTML
+ */
+function listingHtml(document) {
+  const pagination = document.querySelector('.pagination');
+  return document.querySelector('.product-list').outerHTML + (pagination ? pagination.outerHTML : '');
+}
+
+test('shows ranked unit price badges before any sort', async () => {
+  const window = loadExtension('category.html', CATEGORY_URL);
+  const { document } = window;
+  await waitFor(() => document.querySelector('.konzum-unit-tag'));
+
+  const badges = Array.from(document.querySelectorAll('article.product-item'), card => card.querySelector('.konzum-unit-tag'));
+  assert.deepEqual(badges.map(badge => badge.classList.contains('konzum-best-value')), [true, true, true, false]);
+  assert.equal(badges[1].textContent, '1,58 €/kgNajbolja vrijednost · 1. od 4');
+  assert.equal(badges[0].querySelector('.konzum-unit-tag-rank').textContent, 'Najbolja vrijednost · +127% skuplje po kg · 3. od 4');
+  assert.equal(badges[3].querySelector('.konzum-unit-tag-rank').textContent, '+784% skuplje po kg · 4. od 4');
+  window.close();
+});
+
+test('choosing the site sort again restores the original listing', async () => {
+  const window = loadExtension('search.html', SEARCH_URL);
+  const { document } = window;
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+  const before = listingHtml(document);
+
+  choose(window, 'unit-price-desc');
+  await waitFor(() => document.getElementById('konzum-sort-styles'));
+  assert.notEqual(listingHtml(document), before);
+
+  choose(window, '');
+  assert.equal(listingHtml(document), before);
+  assert.equal(document.getElementById('konzum-sort-styles'), null);
+  window.close();
+});
+
+test('resetting a global sort brings back the first page and its pagination', async () => {
+  const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'paginated.html'), 'utf8');
+  const window = loadExtension('category.html', CATEGORY_URL, {
+    pages: url => (new URL(url, CATEGORY_URL).searchParams.get('page') === '2' ? page : '<html><body></body></html>')
+  });
+  const { document } = window;
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+  const before = listingHtml(document);
+
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.querySelector('.konzum-filter-bar'));
+  assert.equal(document.querySelectorAll('article.product-item').length, 8);
+  assert.equal(document.querySelector('.pagination').style.display, 'none');
+
+  document.querySelector('.konzum-sort-reset').click();
+  assert.equal(listingHtml(document), before);
+  assert.equal(document.querySelectorAll('[data-konzum-injected]').length, 0);
+  assert.equal(document.querySelector('.konzum-filter-bar'), null);
+  assert.equal(document.querySelector('select').value, '');
+  assert.equal(document.querySelector('select').hasAttribute('data-konzum-original-value'), false);
+  window.close();
+});
+
+test('caches the loaded pages in extension storage, not the site\'s', async () => {
+  const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'paginated.html'), 'utf8');
+  let fetches = 0;
+  const window = loadExtension('category.html', CATEGORY_URL, {
+    pages: url => {
+      fetches++;
+      return new URL(url, CATEGORY_URL).searchParams.get('page') === '2' ? page : '<html><body></body></html>';
+    }
+  });
+  const { document } = window;
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.querySelector('.konzum-filter-bar'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(window.sessionStorage.length, 0);
+  const { productCache } = await window.chrome.storage.local.get('productCache');
+  assert.deepEqual(Object.keys(productCache), ['/web/t/kategorije/namirnice/tjestenina?']);
+  assert.equal(productCache['/web/t/kategorije/namirnice/tjestenina?'].products.length, 8);
+
+  const fetched = fetches;
+  document.querySelector('.konzum-sort-reset').click();
+  choose(window, 'unit-price-desc');
+  await waitFor(() => document.querySelector('.konzum-filter-bar'));
+  assert.equal(document.querySelectorAll('article.product-item').length, 8);
+  assert.equal(fetches, fetched);
+  window.close();
+});
+
+test('proxies only submit buttons on injected cards and reports what the site answered', async () => {
+  const page = `<html><body><div class="product-list">
+    <article class="product-item product-default">
+      <div class="product-default__title"><a href="/web/products/barilla-farfalle-500-g">Barilla Farfalle 500 g</a></div>
+      <div class="product-default__price"><span class="price__amount">1,79 €</span></div>
+      <form action="/web/cart/add" method="post">
+        <input type="hidden" name="sku" value="123">
+        <button type="button" class="product-default__favorite">Dodaj na popis</button>
+        <button type="submit">Dodaj u košaricu</button>
+      </form>
+    </article>
+    <article class="product-item product-default">
+      <div class="product-default__title"><a href="/web/products/zara-tagliatelle-500-g">Zara Tagliatelle 500 g</a></div>
+      <div class="product-default__price"><span class="price__amount">2,19 €</span></div>
+    </article>
+  </div></body></html>`;
+  const window = loadExtension('category.html', CATEGORY_URL, {
+    pages: url => (new URL(url, CATEGORY_URL).searchParams.get('page') === '2' ? page : '<html><body></body></html>')
+  });
+  const { document } = window;
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.querySelector('.konzum-filter-bar'));
+
+  const posts = [];
+  let answer = { success: false, error: 'Prijavite se' };
+  window.fetch = async (input, init = {}) => {
+    posts.push(`${init.method || 'GET'} ${input}`);
+    return { ok: true, status: 200, headers: new Map([['content-type', 'application/json']]), json: async () => answer };
+  };
+  const card = document.querySelector('[data-konzum-injected] form').closest('article');
+
+  card.querySelector('.product-default__favorite').click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(posts, []);
+  assert.equal(window.location.href, CATEGORY_URL);
+
+  card.querySelector('button[type="submit"]').click();
+  await waitFor(() => posts.length === 1);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(posts, ['POST /web/cart/add']);
+  assert.doesNotMatch(document.body.textContent, /Dodano u košaricu/);
+
+  answer = { success: true };
+  card.querySelector('button[type="submit"]').click();
+  await waitFor(() => /Dodano u košaricu/.test(document.body.textContent));
+  window.close();
+});
+
+test('keeps the last page when a page past the end repeats it and arrives first', async () => {
+  const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'paginated.html'), 'utf8');
+  const window = loadExtension('category.html', CATEGORY_URL);
+  // Pages past the end show the last page again, and page 2 is the slowest to answer
+  window.fetch = async (input) => {
+    const slow = new URL(String(input), CATEGORY_URL).searchParams.get('page') === '2';
+    await new Promise(resolve => setTimeout(resolve, slow ? 50 : 0));
+    return { ok: true, status: 200, text: async () => page };
+  };
+  const { document } = window;
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.querySelector('.konzum-filter-bar'));
+  assert.equal(document.querySelectorAll('article.product-item').length, 8);
+  window.close();
+});
+
+test('re-applies a remembered sort when the site already offers a unit price option', async () => {
+  const window = loadExtension('search.html', SEARCH_URL, {
+    beforeLoad: window => {
+      window.document.querySelector('select').add(new window.Option('Cijena za j.m. rastuće', 'unit asc'));
+      window.chrome.storage.local.set({ savedSorts: { site: { ascending: false, primaryKey: 'price', savedAt: Date.now() } } });
+    }
+  });
+  const { document } = window;
+  await waitFor(() => document.getElementById('konzum-sort-styles'));
+
+  assert.equal(document.querySelector('option[value="unit-price-asc"]'), null);
+  const prices = Array.from(document.querySelectorAll('article.product-item'))
+    .sort((a, b) => a.getAttribute('data-sort-order') - b.getAttribute('data-sort-order'))
+    .map(card => window.KonzumSorterProduct.parseProductCard(card).price);
+  assert.deepEqual(prices, [...prices].sort((a, b) => b - a));
+  window.close();
+});
+
+test('sorts by other primary keys from the dropdown and the button bar', async () => {
+  const names = document => Array.from(document.querySelectorAll('article.product-item'))
+    .sort((a, b) => a.getAttribute('data-sort-order') - b.getAttribute('data-sort-order'))
+    .map(card => card.querySelector('.product-default__title').textContent);
+  const byName = ['Rio Mare tjestenina s tunom 250 g', 'Podravka tjestenina Zlatna penne 1 kg', 'K Plus Fusilli 500 g', 'Barilla Spaghetti n.5 500 g'];
+
+  let window = loadExtension('category.html', CATEGORY_URL);
+  await waitFor(() => window.document.querySelector('option[value="konzum-name-desc"]'));
+  await window.chrome.storage.sync.set({ scope: 'page' });
+  // Changed settings reach the page once they're read back from storage
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(window.document.querySelector('option[value="konzum-name-desc"]').textContent, 'Naziv silazno');
+  choose(window, 'konzum-name-desc');
+  assert.deepEqual(names(window.document), byName);
+  window.close();
+
+  window = loadExtension('category.html', 'https://www.konzum.hr/web/favorites');
+  await waitFor(() => window.document.querySelector('.konzum-primary-sort'));
+  await window.chrome.storage.sync.set({ scope: 'page' });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  window.document.querySelector('[data-konzum-direction="desc"]').click();
+  const primary = window.document.querySelector('.konzum-primary-sort');
+  primary.value = 'name';
+  primary.dispatchEvent(new window.Event('change'));
+  // Re-sorted right away, without choosing the direction again
+  assert.deepEqual(names(window.document), byName);
+  window.close();
+});
+
+test('exports the listing in its sorted order', async () => {
+  const window = loadExtension('search.html', SEARCH_URL);
+  const { document } = window;
+  const downloads = [];
+  window.URL.createObjectURL = blob => {
+    downloads.push(blob);
+    return 'blob:export';
+  };
+  window.URL.revokeObjectURL = () => {};
+  await waitFor(() => document.querySelector('.konzum-export'));
+
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.getElementById('konzum-sort-styles'));
+  Array.from(document.querySelectorAll('.konzum-export button')).find(button => button.textContent === 'JSON').click();
+
+  assert.equal(downloads.length, 1);
+  const text = await new Promise(resolve => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(downloads[0]);
+  });
+  const data = JSON.parse(text);
+  const sorted = Array.from(document.querySelectorAll('article.product-item'))
+    .sort((a, b) => a.getAttribute('data-sort-order') - b.getAttribute('data-sort-order'))
+    .map(card => card.querySelector('a[href*="/web/products/"]').href);
+
+  assert.equal(data.source, SEARCH_URL);
+  assert.deepEqual(data.products.map(row => row.url), sorted);
+  assert.notDeepEqual(sorted, Array.from(document.querySelectorAll('article.product-item a[href*="/web/products/"]'), link => link.href));
+  window.close();
+});
+
+test('sorts cart rows on the page without loading other pages', async () => {
+  let fetched = 0;
+  const window = loadExtension('cart.html', 'https://www.konzum.hr/web/cart', {
+    pages: () => {
+      fetched++;
+      return '<html><body></body></html>';
+    }
+  });
+  const { document } = window;
+  await waitFor(() => document.querySelector('.konzum-unit-price-sorter'));
+
+  // The quantity selects are left alone
+  assert.equal(document.querySelectorAll('option[value="unit-price-asc"]').length, 0);
+  assert.equal(document.querySelector('.konzum-unit-price-sorter').nextElementSibling, document.querySelector('.cart-items'));
+
+  Array.from(document.querySelectorAll('.unit-price-sort-btn')).find(button => button.textContent.includes('Uzlazno')).click();
+  await waitFor(() => document.getElementById('konzum-sort-styles'));
+
+  const order = Array.from(document.querySelectorAll('.cart-item'))
+    .sort((a, b) => a.getAttribute('data-sort-order') - b.getAttribute('data-sort-order'))
+    .map(card => card.querySelector('a').textContent);
+  // Prices per kilogram come before prices per litre
+  assert.deepEqual(order, ['Barilla Spaghetti n.5 500 g', 'Podravka Vegeta 500 g', 'Jana prirodna mineralna voda 1,5 l', 'Dukat trajno mlijeko 2,8% m.m. 1 l']);
+  assert.equal(fetched, 0);
+  assert.equal(document.querySelector('.recommended article').hasAttribute('data-sort-order'), false);
+  // Cart lines aren't offered for watching
+  assert.equal(document.querySelector('.konzum-watch'), null);
+  window.close();
+});
+
+test('the button bar sorts all pages and switches scope', async () => {
+  const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'paginated.html'), 'utf8');
+  const favoritesUrl = 'https://www.konzum.hr/web/favorites';
+  const window = loadExtension('category.html', favoritesUrl, {
+    pages: url => (new URL(url, favoritesUrl).searchParams.get('page') === '2' ? page : '<html><body></body></html>')
+  });
+  const { document } = window;
+  await waitFor(() => document.querySelector('.konzum-unit-price-sorter'));
+  const panel = document.querySelector('.konzum-unit-price-sorter');
+  const button = selector => panel.querySelector(selector);
+
+  assert.equal(button('[data-konzum-scope="global"]').getAttribute('aria-pressed'), 'true');
+  assert.equal(button('.konzum-sort-count').textContent, '4 proizvoda na ovoj stranici');
+
+  button('[data-konzum-direction="asc"]').click();
+  await waitFor(() => document.querySelectorAll('article.product-item').length === 8);
+  assert.ok(button('[data-konzum-direction="asc"]').classList.contains('konzum-active'));
+  assert.ok(!button('[data-konzum-direction="desc"]').classList.contains('konzum-active'));
+  assert.equal(button('.konzum-sort-count').textContent, '8 proizvoda sa svih stranica');
+
+  button('[data-konzum-scope="page"]').click();
+  await waitFor(() => document.querySelectorAll('article.product-item').length === 4);
+  assert.equal(button('[data-konzum-scope="page"]').getAttribute('aria-pressed'), 'true');
+  assert.equal(button('.konzum-sort-count').textContent, '4 proizvoda na ovoj stranici');
+  assert.ok(document.getElementById('konzum-sort-styles'));
+  assert.notEqual(document.querySelector('.pagination').style.display, 'none');
+  window.close();
+});
+
+test('renders the merged list in chunks as the user scrolls', async () => {
+  // Pages 2 to 12 with ten products each, 114 products in all
+  const generatedPage = url => {
+    const page = Number(new URL(url, CATEGORY_URL).searchParams.get('page'));
+    if (page > 12) return '<html><body></body></html>';
+    const cards = Array.from({ length: 10 }, (_, index) => {
+      const id = page * 100 + index;
+      return `<article class="product-item"><img data-src="/images/${id}.jpg" alt="">
+        <div class="product-default__title"><a href="/web/products/tjestenina-${id}">Tjestenina ${id} 500 g</a></div>
+        <div class="product-default__price"><span class="price__amount">${(id / 100).toFixed(2).replace('.', ',')} €</span></div></article>`;
+    }).join('');
+    return `<html><body><div class="product-list">${cards}</div></body></html>`;
+  };
+  const window = loadExtension('category.html', CATEGORY_URL, { pages: generatedPage });
+  const { document } = window;
+  const observers = [];
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = new Set();
+      observers.push(this);
+    }
+    observe(target) { this.targets.add(target); }
+    unobserve(target) { this.targets.delete(target); }
+    disconnect() { this.targets.clear(); }
+  };
+  const scroll = () => observers.forEach(observer => {
+    if (observer.targets.size > 0) observer.callback(Array.from(observer.targets, target => ({ target, isIntersecting: true })));
+  });
+  const downloads = [];
+  window.URL.createObjectURL = blob => {
+    downloads.push(blob);
+    return 'blob:export';
+  };
+  window.URL.revokeObjectURL = () => {};
+
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+  const before = listingHtml(document);
+
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.querySelector('.konzum-load-more'));
+  assert.equal(document.querySelectorAll('article.product-item').length, 40);
+
+  const injectedImage = document.querySelector('[data-konzum-injected] img');
+  assert.equal(injectedImage.getAttribute('loading'), 'lazy');
+  assert.match(injectedImage.getAttribute('src'), /^\/images\/\d+\.jpg$/);
+
+  scroll();
+  assert.equal(document.querySelectorAll('article.product-item').length, 80);
+  assert.equal(document.querySelector('.konzum-sort-count'), null);
+
+  // Export covers the products not rendered yet
+  Array.from(document.querySelectorAll('.konzum-export button')).find(button => button.textContent === 'JSON').click();
+  const text = await new Promise(resolve => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(downloads[0]);
+  });
+  assert.equal(JSON.parse(text).count, 114);
+
+  scroll();
+  assert.equal(document.querySelectorAll('article.product-item').length, 114);
+  assert.equal(document.querySelector('.konzum-load-more'), null);
+
+  document.querySelector('.konzum-sort-reset').click();
+  assert.equal(listingHtml(document), before);
+  window.close();
+});
+
+test('undoing a partly rendered merged list brings back every card of the page', async () => {
+  const window = loadExtension('category.html', CATEGORY_URL, {
+    pages: url => {
+      const page = Number(new URL(url, CATEGORY_URL).searchParams.get('page'));
+      if (page > 12) return '<html><body></body></html>';
+      const cards = Array.from({ length: 10 }, (_, index) => `<article class="product-item">
+        <div class="product-default__title"><a href="/web/products/p-${page}-${index}">Proizvod ${page}-${index} 1 kg</a></div>
+        <div class="product-default__price"><span class="price__amount">0,${10 + index} €</span></div></article>`).join('');
+      return `<html><body><div class="product-list">${cards}</div></body></html>`;
+    }
+  });
+  const { document } = window;
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+  const before = listingHtml(document);
+
+  // The page's own cards are the dearest, so none of them is in the first chunk
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.querySelector('.konzum-load-more'));
+  assert.equal(document.querySelectorAll('article.product-item:not([data-konzum-injected])').length, 0);
+
+  choose(window, '');
+  assert.equal(listingHtml(document), before);
+  window.close();
+});
+
+test('answers the toolbar popup with a summary and runs its actions', async () => {
+  const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'paginated.html'), 'utf8');
+  const window = loadExtension('category.html', CATEGORY_URL, {
+    pages: url => (new URL(url, CATEGORY_URL).searchParams.get('page') === '2' ? page : '<html><body></body></html>')
+  });
+  const { document } = window;
+  const popup = message => window.chrome.runtime.dispatch(message);
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+
+  const summary = await popup({ type: 'summary' });
+  assert.equal(summary.page, 'Kategorija');
+  assert.equal(summary.count, 4);
+  assert.equal(summary.withUnitPrice, 4);
+  assert.equal(summary.sort, null);
+  assert.deepEqual(summary.units.map(stats => [stats.unit, stats.count, stats.min, stats.max]), [['kg', 4, 1.58, 13.96]]);
+  assert.equal(summary.best[0].unitPrice.value, 1.58);
+  assert.match(summary.best[0].url, /^https:\/\/www\.konzum\.hr\/web\/products\//);
+
+  const sorting = await popup({ type: 'sort', ascending: false });
+  assert.equal(sorting.sort.ascending, false);
+  assert.equal(document.querySelector('select').value, 'unit-price-desc');
+  await waitFor(() => document.querySelectorAll('article.product-item').length === 8);
+
+  const sorted = await popup({ type: 'summary' });
+  assert.equal(sorted.loading, false);
+  assert.equal(sorted.allPages, true);
+  assert.equal(sorted.count, 8);
+
+  await popup({ type: 'scope', scope: 'page' });
+  await waitFor(() => document.querySelectorAll('article.product-item').length === 4);
+  assert.equal((await popup({ type: 'summary' })).scope, 'page');
+  window.close();
+});
+
+test('suggests cheaper substitutes for cart lines with the saving for the basket', async () => {
+  const card = (slug, name, price, unitPrice) => `<article class="product-item">
+    <div class="product-default__title"><a href="/web/products/${slug}">${name}</a></div>
+    <div class="product-default__price"><span class="price__amount">${price} €</span></div>
+    <div class="product-default__unit-price">Cijena za j.m.: ${unitPrice}</div></article>`;
+  const results = {
+    'trajno mlijeko': [
+      card('dukat-trajno-mlijeko-2-8-m-m-1-l', 'Dukat trajno mlijeko 2,8% m.m. 1 l', '1,39', '1,39 €/l'),
+      card('k-plus-trajno-mlijeko', 'K Plus trajno mlijeko 2,8% m.m. 1 l', '0,99', '0,99 €/l'),
+      card('dukat-trajno-mlijeko-0-9', 'Dukat trajno mlijeko 0,9% m.m. 1 l', '1,09', '1,09 €/l')
+    ],
+    spaghetti: [card('barilla-spaghetti-1-kg', 'Barilla Spaghetti n.5 1 kg', '3,20', '3,20 €/kg')],
+    // Cheaper than the line total per kilogram, dearer than one pack of the line
+    vegeta: [card('vegeta-1-kg', 'Vegeta dodatak jelima 1 kg', '8,00', '8,00 €/kg')]
+  };
+  const searched = [];
+  const window = loadExtension('cart.html', 'https://www.konzum.hr/web/cart', {
+    pages: url => {
+      const query = new URL(url).searchParams.get('q');
+      searched.push(query);
+      return `<html><body><div class="product-list">${(results[query] || []).join('')}</div></body></html>`;
+    }
+  });
+  const { document } = window;
+  await waitFor(() => document.querySelector('.konzum-basket button'));
+
+  document.querySelector('.konzum-basket button').click();
+  await waitFor(() => document.querySelector('.konzum-basket-summary').textContent !== '');
+
+  assert.deepEqual(searched.sort(), ['prirodna mineralna voda', 'spaghetti', 'trajno mlijeko', 'vegeta']);
+  assert.equal(document.querySelector('.konzum-basket-summary').textContent, 'Moguća ušteda: 0,99 € na 2 od 4 stavki');
+
+  const [milk, pasta, water, vegeta] = document.querySelectorAll('.cart-item');
+  const suggestions = milk.querySelectorAll('.konzum-substitutes li');
+  assert.equal(suggestions.length, 1);
+  assert.equal(suggestions[0].querySelector('a').href, 'https://www.konzum.hr/web/products/k-plus-trajno-mlijeko');
+  assert.match(suggestions[0].textContent, /0,99 €\/l · −29% · ušteda 0,80 €/);
+  assert.match(pasta.querySelector('.konzum-substitutes').textContent, /ušteda 0,19 €/);
+  assert.equal(water.querySelector('.konzum-substitutes'), null);
+  assert.equal(vegeta.querySelector('.konzum-substitutes'), null);
+  assert.equal(document.getElementById('konzum-sort-progress'), null);
+  window.close();
+});
+
+test('ranks products by the cost of the amount entered in "Trebam:"', async () => {
+  const window = loadExtension('category.html', CATEGORY_URL);
+  const { document } = window;
+  await waitFor(() => document.querySelector('.konzum-need input'));
+  await window.chrome.storage.sync.set({ scope: 'page' });
+  // Changed settings reach the page once they're read back from storage
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  const cards = () => Array.from(document.querySelectorAll('article.product-item'));
+  const sortedNames = () => cards()
+    .sort((a, b) => a.getAttribute('data-sort-order') - b.getAttribute('data-sort-order'))
+    .map(card => card.querySelector('.product-default__title').textContent);
+  const input = document.querySelector('.konzum-need input');
+  const unit = document.querySelector('.konzum-need select');
+
+  input.value = '500';
+  unit.value = 'g';
+  input.dispatchEvent(new window.Event('change'));
+
+  // The 1 kg pack is cheaper per kg than Barilla, but buying it costs more
+  assert.deepEqual(sortedNames(), [
+    'K Plus Fusilli 500 g',
+    'Barilla Spaghetti n.5 500 g',
+    'Podravka tjestenina Zlatna penne 1 kg',
+    'Rio Mare tjestenina s tunom 250 g'
+  ]);
+  assert.equal(document.querySelector('select').value, 'unit-price-asc');
+  const [, , penne, tuna] = cards();
+  assert.equal(penne.querySelector('.konzum-need-tag').textContent, '1 × 2,29 € = 2,29 €+0,5 kg viška');
+  assert.equal(tuna.querySelector('.konzum-need-tag').textContent, '2 × 3,49 € = 6,98 €');
+
+  input.value = '';
+  input.dispatchEvent(new window.Event('change'));
+  assert.deepEqual(sortedNames(), [
+    'K Plus Fusilli 500 g',
+    'Podravka tjestenina Zlatna penne 1 kg',
+    'Barilla Spaghetti n.5 500 g',
+    'Rio Mare tjestenina s tunom 250 g'
+  ]);
+  assert.equal(document.querySelector('.konzum-need-tag'), null);
+  window.close();
+});
+
+test('watches a product from its card and edits its target price', async () => {
+  const window = loadExtension('category.html', CATEGORY_URL);
+  const { document } = window;
+  await waitFor(() => document.querySelector('.konzum-watch-toggle'));
+  // Copied out of the page, like the browser's storage does
+  const storedEntry = async key => JSON.parse(JSON.stringify((await window.chrome.storage.local.get(`watch:${key}`))[`watch:${key}`] || null));
+
+  const card = document.querySelector('article.product-item');
+  const toggle = card.querySelector('.konzum-watch-toggle');
+  assert.equal(toggle.textContent, '☆ Prati');
+  toggle.click();
+  await waitFor(() => card.querySelector('.konzum-watch-target'));
+  // Stored in the background
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+  assert.equal(toggle.textContent, '★ Pratim');
+  const entry = await storedEntry('barilla-spaghetti-n-5-500-g');
+  assert.equal(entry.url, 'https://www.konzum.hr/web/products/barilla-spaghetti-n-5-500-g');
+  assert.deepEqual(entry.target, { type: 'price', value: 1.79, unit: null });
+
+  const input = card.querySelector('.konzum-watch-target input');
+  const type = card.querySelector('.konzum-watch-target select');
+  assert.equal(input.value, '1.79');
+  input.value = '1.5';
+  input.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual((await storedEntry('barilla-spaghetti-n-5-500-g')).target, { type: 'price', value: 1.5, unit: null });
+
+  // Switching to the unit price starts from the current one
+  type.value = 'unitPrice';
+  type.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual((await storedEntry('barilla-spaghetti-n-5-500-g')).target, { type: 'unitPrice', value: 3.58, unit: 'kg' });
+  assert.equal(input.value, '3.58');
+
+  // Removed in another tab
+  await window.chrome.storage.local.remove('watch:barilla-spaghetti-n-5-500-g');
+  assert.equal(toggle.textContent, '☆ Prati');
+  assert.equal(card.querySelector('.konzum-watch-target'), null);
+
+  // The watch toggle never counts as a price or a badge
+  assert.equal(card.querySelector('.konzum-unit-tag-price').textContent, '3,58 €/kg');
+  window.close();
+});
+
+test('keeps every watch saved at the same time', async () => {
+  const window = loadExtension('category.html', CATEGORY_URL);
+  const { saveWatch, loadWatchlist } = window.KonzumSorterSettings;
+
+  await Promise.all([saveWatch('a', { key: 'a' }), saveWatch('b', { key: 'b' })]);
+  assert.deepEqual(Object.keys(await loadWatchlist()).sort(), ['a', 'b']);
+
+  await saveWatch('a', null);
+  assert.deepEqual(Object.keys(await loadWatchlist()), ['b']);
+  window.close();
+});
+
+test('shows the stored watchlist again when a watch can\'t be saved', async () => {
+  const window = loadExtension('category.html', CATEGORY_URL);
+  const { document } = window;
+  await waitFor(() => document.querySelector('.konzum-watch-toggle'));
+  window.chrome.storage.local.set = async () => {
+    throw new Error('QUOTA_BYTES quota exceeded');
+  };
+
+  const toggle = document.querySelector('.konzum-watch-toggle');
+  toggle.click();
+  assert.equal(toggle.textContent, '★ Pratim');
+  await waitFor(() => toggle.textContent === '☆ Prati');
+  assert.equal(document.querySelector('.konzum-watch-target'), null);
+  window.close();
+});
+
+test('shows the watch toggle with unit price badges turned off', async () => {
+  const window = loadExtension('search.html', SEARCH_URL, { settings: { unitBadges: false } });
+  const { document } = window;
+  await waitFor(() => document.querySelector('option[value="unit-price-asc"]'));
+  assert.equal(document.querySelectorAll('.konzum-watch-toggle').length, document.querySelectorAll('article.product-item').length);
+
+  choose(window, 'unit-price-asc');
+  await waitFor(() => document.getElementById('konzum-sort-styles'));
+  choose(window, '');
+
+  const cards = Array.from(document.querySelectorAll('article.product-item'));
+  assert.equal(document.querySelector('.konzum-unit-tag'), null);
+  assert.deepEqual(cards.map(card => card.querySelectorAll('.konzum-watch-toggle').length), cards.map(() => 1));
+  window.close();
+});
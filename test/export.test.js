@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EXPORT_COLUMNS, toExportRows, toCsv, toJson, getExportFileName } = require('../export.js');
+const { product } = require('./helpers');
+
+const COLLECTED_AT = Date.UTC(2024, 4, 1, 10, 30);
+
+const products = [
+  product('Tjestenina "Fusilli"; 500 g', {
+    url: '/web/products/tjestenina-fusilli',
+    price: 0.79,
+    unitPrice: { value: 1.58, unit: 'kg' },
+    quantity: { count: 1, amount: 500, unit: 'g', text: '500 g' },
+    page: 2,
+    collectedAt: COLLECTED_AT
+  }),
+  product('Špageti bez cijene', { url: 'https://www.konzum.hr/web/products/spageti', page: 1 })
+];
+
+test('builds one row per product with absolute links', () => {
+  const rows = toExportRows(products, { now: COLLECTED_AT + 1000 });
+
+  assert.deepEqual(rows[0], {
+    name: 'Tjestenina "Fusilli"; 500 g',
+    url: 'https://www.konzum.hr/web/products/tjestenina-fusilli',
+    price: 0.79,
+    unitPrice: 1.58,
+    unit: 'kg',
+    packageSize: '500 g',
+    page: 2,
+    collectedAt: '2024-05-01T10:30:00.000Z'
+  });
+  assert.equal(rows[1].unitPrice, null);
+  assert.equal(rows[1].collectedAt, '2024-05-01T10:30:01.000Z');
+});
+
+test('writes CSV for Excel with a BOM, semicolons and decimal commas', () => {
+  const csv = toCsv(toExportRows(products));
+  const lines = csv.slice(1).split('\r\n');
+
+  assert.equal(csv[0], '\uFEFF');
+  assert.equal(lines[0], EXPORT_COLUMNS.map(column => column.header).join(';'));
+  assert.equal(lines[1], '"Tjestenina ""Fusilli""; 500 g";https://www.konzum.hr/web/products/tjestenina-fusilli;0,79;1,58;kg;500 g;2;2024-05-01T10:30:00.000Z');
+  assert.match(lines[2], /^Špageti bez cijene;https:\/\/www\.konzum\.hr\/web\/products\/spageti;;;;;1;/);
+  assert.equal(lines[3], '');
+});
+
+test('keeps decimal points with the comma delimiter', () => {
+  const lines = toCsv(toExportRows(products), { delimiter: ',' }).split('\r\n');
+  assert.equal(lines[1], '"Tjestenina ""Fusilli""; 500 g",https://www.konzum.hr/web/products/tjestenina-fusilli,0.79,1.58,kg,500 g,2,2024-05-01T10:30:00.000Z');
+});
+
+test('writes JSON with the listing details and rows', () => {
+  const rows = toExportRows(products);
+  const data = JSON.parse(toJson(rows, { source: 'https://www.konzum.hr/web/search?q=tjestenina' }));
+
+  assert.equal(data.source, 'https://www.konzum.hr/web/search?q=tjestenina');
+  assert.equal(data.count, 2);
+  assert.deepEqual(data.products, rows);
+});
+
+test('names files after the search query or category', () => {
+  const date = new Date(Date.UTC(2024, 4, 1));
+  assert.equal(getExportFileName('https://www.konzum.hr/web/search?q=Čokolada%20mliječna', 'csv', date),
+    'konzum-cokolada-mlijecna-2024-05-01.csv');
+  assert.equal(getExportFileName('https://www.konzum.hr/web/t/kategorije/namirnice/tjestenina?page=2', 'json', date),
+    'konzum-tjestenina-2024-05-01.json');
+});
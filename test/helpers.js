@@ -0,0 +1,134 @@
+/**
+ * Shared helpers for the test suite
+ * Loads saved Konzum pages into jsdom, without network access
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Load a saved page from test/fixtures
+ * @param {string} name - Fixture file name, e.g. "search.html"
+ * @param {string} [url='https://www.konzum.hr/web/search'] - URL the page was saved from
+ * @returns {Document} Parsed document
+ */
+function loadFixture(name, url = 'https://www.konzum.hr/web/search') {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  return new JSDOM(html, { url: url }).window.document;
+}
+
+/**
+ * Build a minimal product record for comparator tests
+ * @param {string} name - Product name
+ * @param {Object} [fields] - Fields to override, e.g. unitPrice or price
+ * @returns {Object} Product record
+ */
+function product(name, fields = {}) {
+  return { name: name, brand: null, price: null, discount: null, size: null, unitPrice: null, ...fields };
+}
+
+// Content scripts in the order manifest.json loads them
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'))
+  .content_scripts[0].js
+  .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+/**
+ * Create extension storage that starts empty, so defaults apply, and reports
+ * changes to onChanged listeners like the browser does
+ * @returns {{sync: Object, local: Object, onChanged: {addListener: function(function): void}}} Storage stub
+ */
+function createStorage() {
+  const listeners = [];
+  const area = (areaName) => {
+    const data = {};
+    return {
+      get: async (keys) => {
+        if (typeof keys === 'string') keys = [keys];
+        if (Array.isArray(keys)) return Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]));
+        const result = { ...(keys || {}) };
+        Object.keys(keys || data).forEach(key => {
+          if (key in data) result[key] = data[key];
+        });
+        return result;
+      },
+      set: async (changes) => {
+        const changed = {};
+        Object.entries(changes).forEach(([key, value]) => {
+          changed[key] = { oldValue: data[key], newValue: value };
+          data[key] = value;
+        });
+        listeners.forEach(listener => listener(changed, areaName));
+      },
+      remove: async (keys) => {
+        const changed = {};
+        [].concat(keys).filter(key => key in data).forEach(key => {
+          changed[key] = { oldValue: data[key] };
+          delete data[key];
+        });
+        if (Object.keys(changed).length > 0) listeners.forEach(listener => listener(changed, areaName));
+      }
+    };
+  };
+  return { sync: area('sync'), local: area('local'), onChanged: { addListener: listener => listeners.push(listener) } };
+}
+
+/**
+ * Create the runtime messaging of a content script; dispatch() delivers a
+ * message the way tabs.sendMessage from the popup does
+ * @returns {{onMessage: {addListener: function(function): void}, dispatch: function(Object): Promise<*>}} Runtime stub
+ */
+function createRuntime() {
+  const listeners = [];
+  return {
+    onMessage: { addListener: listener => listeners.push(listener) },
+    // Answers are copied like the browser does, so only plain data gets through
+    dispatch: message => new Promise(resolve => {
+      const sendResponse = response => resolve(JSON.parse(JSON.stringify(response)));
+      listeners.forEach(listener => listener(message, { id: 'popup' }, sendResponse));
+    })
+  };
+}
+
+/**
+ * Load a saved page with the extension's content scripts running in it
+ * @param {string} name - Fixture file name
+ * @param {string} url - URL the page was saved from
+ * @param {Object} [options] - Page options
+ * @param {function(string): string} [options.pages] - HTML served for other listing pages, by URL
+ * @param {Object} [options.settings] - Preferences saved before the page loads
+ * @param {function(Window): void} [options.beforeLoad] - Called before the content scripts run, e.g. to change the page
+ * @returns {Window} Page window
+ */
+function loadExtension(name, url, { pages = () => '<html><body></body></html>', settings = {}, beforeLoad = () => {} } = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  const { window } = new JSDOM(html, { url: url, runScripts: 'outside-only' });
+
+  window.chrome = { storage: createStorage(), runtime: createRuntime() };
+  window.chrome.storage.sync.set(settings);
+  window.fetch = async (input) => ({ ok: true, status: 200, text: async () => pages(String(input)) });
+  window.alert = () => {};
+  beforeLoad(window);
+
+  CONTENT_SCRIPTS.forEach(source => window.eval(source));
+  return window;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {function(): boolean} condition - Condition to check
+ * @param {number} [timeout=5000] - Time in ms before giving up
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { loadFixture, product, loadExtension, waitFor, createStorage };
@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { createListRenderer } = require('../list-renderer.js');
+
+/**
+ * Create a page with an empty list and an IntersectionObserver the test triggers by hand
+ * @param {boolean} [withObserver=true] - False for a browser without IntersectionObserver
+ * @returns {{list: HTMLElement, scroll: function(boolean=): void}} List element and a function reporting the sentinel as (not) in view
+ */
+function setup(withObserver = true) {
+  const { window } = new JSDOM('<ul class="product-list"></ul>');
+  const observers = [];
+  if (withObserver) {
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        this.targets = new Set();
+        observers.push(this);
+      }
+      observe(target) { this.targets.add(target); }
+      unobserve(target) { this.targets.delete(target); }
+      disconnect() { this.targets.clear(); }
+    };
+  }
+  return {
+    list: window.document.querySelector('.product-list'),
+    scroll: (isIntersecting = true) => observers.forEach(observer => {
+      const entries = Array.from(observer.targets, target => ({ target, isIntersecting }));
+      if (entries.length > 0) observer.callback(entries);
+    })
+  };
+}
+
+const items = Array.from({ length: 100 }, (_, index) => index);
+
+/**
+ * Create a renderer that builds one list item per number
+ * @param {Document} doc - Document of the list
+ * @param {Array<Array<number>>} chunks - Receives each rendered chunk
+ * @returns {Object} Renderer
+ */
+function createRenderer(doc, chunks = []) {
+  return createListRenderer({
+    createCard: item => {
+      const card = doc.createElement('li');
+      card.textContent = String(item);
+      return card;
+    },
+    onRender: chunk => chunks.push(chunk),
+    chunkSize: 40
+  });
+}
+
+const cardTexts = list => Array.from(list.querySelectorAll('li'), card => Number(card.textContent));
+
+test('renders the first chunk and adds more as the end comes into view', () => {
+  const { list, scroll } = setup();
+  const chunks = [];
+  const renderer = createRenderer(list.ownerDocument, chunks);
+
+  renderer.render(list, items);
+  assert.deepEqual(cardTexts(list), items.slice(0, 40));
+  assert.equal(list.lastElementChild.className, 'konzum-load-more');
+
+  scroll(false);
+  assert.equal(renderer.getRenderedCount(), 40);
+
+  scroll();
+  scroll();
+  assert.deepEqual(cardTexts(list), items);
+  assert.deepEqual(chunks.map(chunk => chunk.length), [40, 40, 20]);
+  assert.equal(list.querySelector('.konzum-load-more'), null);
+});
+
+test('renders enough cards right away to restore a scroll position', () => {
+  const { list } = setup();
+  const renderer = createRenderer(list.ownerDocument);
+
+  renderer.render(list, items, { initialCount: 70 });
+  assert.equal(renderer.getRenderedCount(), 70);
+  assert.deepEqual(cardTexts(list), items.slice(0, 70));
+});
+
+test('renders everything without IntersectionObserver', () => {
+  const { list } = setup(false);
+  createRenderer(list.ownerDocument).render(list, items);
+
+  assert.deepEqual(cardTexts(list), items);
+  assert.equal(list.querySelector('.konzum-load-more'), null);
+});
+
+test('stopping keeps the rendered cards and removes the sentinel', () => {
+  const { list, scroll } = setup();
+  const renderer = createRenderer(list.ownerDocument);
+
+  renderer.render(list, items);
+  renderer.stop();
+  scroll();
+  assert.equal(cardTexts(list).length, 40);
+  assert.equal(list.querySelector('.konzum-load-more'), null);
+  assert.equal(renderer.isActive(), false);
+});
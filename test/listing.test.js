@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  findSortingDropdown,
+  getProductCards,
+  detectPagination,
+  getCurrentPageNumber
+} = require('../listing.js');
+const { loadFixture } = require('./helpers');
+
+const SEARCH_URL = 'https://www.konzum.hr/web/search?q=mlijeko';
+const CATEGORY_URL = 'https://www.konzum.hr/web/t/kategorije/namirnice/tjestenina';
+
+test('findSortingDropdown finds the select next to "Sortiraj po"', () => {
+  const doc = loadFixture('search.html', SEARCH_URL);
+  assert.equal(findSortingDropdown(doc), doc.getElementById('sort'));
+});
+
+test('findSortingDropdown finds an unlabelled select by its options', () => {
+  const doc = loadFixture('category.html', CATEGORY_URL);
+  assert.equal(findSortingDropdown(doc), doc.querySelector('select[name="sort"]'));
+});
+
+test('findSortingDropdown returns null when the page has no dropdown', () => {
+  assert.equal(findSortingDropdown(loadFixture('no-dropdown.html')), null);
+});
+
+test('getProductCards finds article.product-item cards', () => {
+  const cards = getProductCards(loadFixture('search.html', SEARCH_URL));
+  assert.equal(cards.length, 5);
+  assert.ok(cards.every(card => card.matches('article.product-item')));
+});
+
+test('getProductCards falls back to the parents of product links', () => {
+  const cards = getProductCards(loadFixture('no-dropdown.html'));
+  assert.equal(cards.length, 3);
+  assert.ok(cards.every(card => card.classList.contains('product-default__inner')));
+});
+
+test('detectPagination reads elided pagination and the total result count', () => {
+  const doc = loadFixture('category.html', CATEGORY_URL);
+  assert.deepEqual(detectPagination(doc, CATEGORY_URL), { maxPage: 12, nextPage: 2, totalResults: 287 });
+});
+
+test('detectPagination resolves relative links against the listing URL', () => {
+  const url = `${CATEGORY_URL}?page=5`;
+  const doc = loadFixture('paginated.html', url);
+  assert.deepEqual(detectPagination(doc, url), { maxPage: 12, nextPage: 6, totalResults: null });
+});
+
+test('detectPagination reports a single page without pagination', () => {
+  const doc = loadFixture('search.html', SEARCH_URL);
+  assert.deepEqual(detectPagination(doc, SEARCH_URL), { maxPage: 1, nextPage: null, totalResults: 5 });
+});
+
+test('getCurrentPageNumber reads the page parameter', () => {
+  const url = `${CATEGORY_URL}?page=5`;
+  assert.equal(getCurrentPageNumber(loadFixture('paginated.html', url), url), 5);
+});
+
+test('getCurrentPageNumber falls back to the active pagination item', () => {
+  assert.equal(getCurrentPageNumber(loadFixture('paginated.html', CATEGORY_URL), CATEGORY_URL), 5);
+  assert.equal(getCurrentPageNumber(loadFixture('category.html', CATEGORY_URL), CATEGORY_URL), 1);
+});
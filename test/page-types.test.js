@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectPageType } = require('../page-types.js');
+const { getProductCards } = require('../listing.js');
+const { loadFixture } = require('./helpers');
+
+test('recognizes listing pages by their URL', () => {
+  const types = [
+    'https://www.konzum.hr/web/search?q=mlijeko',
+    'https://www.konzum.hr/web/t/kategorije/namirnice/tjestenina',
+    'https://www.konzum.hr/web/akcije',
+    'https://www.konzum.hr/web/brands/dukat',
+    'https://www.konzum.hr/web/favorites',
+    'https://www.konzum.hr/web/shopping-lists/123',
+    'https://www.konzum.hr/web/cart'
+  ].map(url => detectPageType(url, null).name);
+
+  assert.deepEqual(types, ['search', 'category', 'promotions', 'brand', 'favorites', 'shoppingList', 'cart']);
+});
+
+test('enables loading all pages only where listings are paginated', () => {
+  assert.equal(detectPageType('https://www.konzum.hr/web/akcije', null).features.globalSort, true);
+  assert.equal(detectPageType('https://www.konzum.hr/web/cart', null).features.globalSort, false);
+  assert.equal(detectPageType('https://www.konzum.hr/web/cart', null).features.priceHistory, false);
+  assert.equal(detectPageType('https://www.konzum.hr/web/cart', null).features.watch, false);
+  assert.equal(detectPageType('https://www.konzum.hr/web/akcije', null).features.watch, true);
+  assert.equal(detectPageType('https://www.konzum.hr/web/favorites', null).features.siteSort, false);
+});
+
+test('falls back to a generic listing for other pages with product cards', () => {
+  const doc = loadFixture('search.html', 'https://www.konzum.hr/web/sezonska-ponuda');
+  const type = detectPageType('https://www.konzum.hr/web/sezonska-ponuda', doc);
+
+  assert.equal(type.name, 'listing');
+  assert.equal(type.features.globalSort, false);
+  assert.equal(detectPageType('https://www.konzum.hr/web/o-nama', loadFixture('cart.html')), null);
+});
+
+test('ignores product pages', () => {
+  const doc = loadFixture('search.html', 'https://www.konzum.hr/web/products/barilla-spaghetti-n-5-500-g');
+  assert.equal(detectPageType('https://www.konzum.hr/web/products/barilla-spaghetti-n-5-500-g', doc), null);
+});
+
+test('ignores account and checkout pages', () => {
+  const doc = loadFixture('search.html', 'https://www.konzum.hr/web/checkout');
+  assert.equal(detectPageType('https://www.konzum.hr/web/checkout', doc), null);
+  assert.equal(detectPageType('https://www.konzum.hr/web/account/orders', doc), null);
+  assert.equal(detectPageType('https://www.konzum.hr/web/sign_in', doc), null);
+  assert.notEqual(detectPageType('https://www.konzum.hr/web/accounting-zone', doc), null);
+});
+
+test('finds cart rows inside the cart, not recommended products', () => {
+  const doc = loadFixture('cart.html', 'https://www.konzum.hr/web/cart');
+  const cards = getProductCards(doc, detectPageType('https://www.konzum.hr/web/cart', doc).layout);
+
+  assert.equal(cards.length, 4);
+  assert.ok(cards.every(card => card.matches('.cart-item')));
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getHistoryKey,
+  toDateKey,
+  addPricePoint,
+  summarizeHistory,
+  buildSparklinePath,
+  openPriceHistory
+} = require('../price-history.js');
+const { product, createStorage } = require('./helpers');
+
+/**
+ * Create a price point
+ * @param {string} date - Date, "YYYY-MM-DD"
+ * @param {number} price - Shelf price
+ * @returns {Object} Price point
+ */
+function point(date, price) {
+  return { date: date, price: price, unitPrice: null, unit: null };
+}
+
+test('keys histories by product id, falling back to the URL', () => {
+  assert.equal(getHistoryKey({ id: '123', url: '/web/products/mlijeko' }), '123');
+  assert.equal(getHistoryKey({ id: null, url: '/web/products/mlijeko' }), '/web/products/mlijeko');
+  assert.equal(getHistoryKey({ id: null, url: '' }), null);
+});
+
+test('formats local dates', () => {
+  assert.equal(toDateKey(new Date(2024, 0, 5, 23, 59)), '2024-01-05');
+});
+
+test('keeps one point per day and drops points older than a year', () => {
+  let points = [point('2023-04-01', 2.49), point('2024-04-20', 1.99)];
+  points = addPricePoint(points, point('2024-05-01', 1.79));
+  points = addPricePoint(points, point('2024-05-01', 1.59));
+
+  assert.deepEqual(points.map(p => [p.date, p.price]), [['2024-04-20', 1.99], ['2024-05-01', 1.59]]);
+});
+
+test('summarizes the trend and the lowest price in the last 30 days', () => {
+  const points = [
+    point('2024-03-01', 0.99),
+    point('2024-04-10', 1.49),
+    point('2024-04-25', 1.29),
+    point('2024-05-01', 1.39)
+  ];
+  const summary = summarizeHistory(points, new Date(2024, 4, 1, 12));
+
+  assert.deepEqual(summary, {
+    current: 1.39,
+    previous: 1.29,
+    trend: 'up',
+    lowest: 1.29,
+    lowestBefore: 1.29,
+    highest: 1.49,
+    count: 4
+  });
+});
+
+test('summarizes a single point and an unchanged price', () => {
+  const now = new Date(2024, 4, 1, 12);
+  assert.equal(summarizeHistory([], now), null);
+
+  const single = summarizeHistory([point('2024-05-01', 2.19)], now);
+  assert.equal(single.trend, null);
+  assert.equal(single.lowestBefore, null);
+
+  const unchanged = summarizeHistory([point('2024-04-30', 2.19), point('2024-05-01', 2.19)], now);
+  assert.equal(unchanged.trend, 'same');
+  assert.equal(unchanged.previous, null);
+});
+
+test('draws sparklines over time, flat histories through the middle', () => {
+  assert.equal(buildSparklinePath([point('2024-05-01', 1)]), '');
+  assert.equal(buildSparklinePath([point('2024-05-01', 2), point('2024-05-02', 1), point('2024-05-05', 3)], 40, 20),
+    'M0.0 10.0 L10.0 18.0 L40.0 2.0');
+  assert.equal(buildSparklinePath([point('2024-05-01', 1), point('2024-05-03', 1)], 40, 20), 'M0.0 10.0 L40.0 10.0');
+});
+
+test('records prices in extension storage, one key per product', async () => {
+  const storage = createStorage().local;
+  const history = await openPriceHistory(storage);
+  const pasta = product('Tjestenina', { id: '123', price: 0.79, unitPrice: { value: 1.58, unit: 'kg' } });
+
+  await history.record([pasta], new Date(2024, 4, 1, 12));
+  const histories = await history.record([{ ...pasta, price: 0.69 }], new Date(2024, 4, 2, 12));
+  assert.deepEqual(histories.get('123').map(entry => entry.price), [0.79, 0.69]);
+
+  const { 'history:123': stored } = await storage.get('history:123');
+  assert.equal(stored.name, 'Tjestenina');
+  assert.deepEqual(stored.points.map(entry => entry.date), ['2024-05-01', '2024-05-02']);
+
+  // Another tab picks up what is stored
+  const other = await openPriceHistory(storage);
+  const again = await other.record([{ ...pasta, price: 0.69 }], new Date(2024, 4, 3, 12));
+  assert.equal(again.get('123').length, 3);
+});
+
+test('does not write prices already stored today, from this or an earlier page load', async () => {
+  const storage = createStorage().local;
+  const set = storage.set;
+  let writes = 0;
+  storage.set = changes => {
+    writes++;
+    return set(changes);
+  };
+  const pasta = product('Tjestenina', { id: '123', price: 0.79 });
+  const today = new Date(2024, 4, 1, 12);
+
+  const history = await openPriceHistory(storage);
+  await Promise.all([history.record([pasta], today), history.record([pasta], today)]);
+  assert.equal(writes, 1);
+
+  const reloaded = await openPriceHistory(storage);
+  const histories = await reloaded.record([pasta], today);
+  assert.equal(writes, 1);
+  assert.equal(histories.get('123').length, 1);
+
+  await reloaded.record([{ ...pasta, price: 0.69 }], today);
+  assert.equal(writes, 2);
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseMoney,
+  parseUnitPrice,
+  extractUnitPrice,
+  parseProductCard,
+  normalizeQuantity,
+  getPacksForAmount,
+  isOnSale,
+  parseProductPage
+} = require('../product.js');
+const { loadFixture, product } = require('./helpers');
+
+/**
+ * Get the card for one edge case from edge-prices.html
+ * @param {string} name - Value of the card's data-case attribute
+ * @returns {HTMLElement} Product card
+ */
+function edgeCard(name) {
+  return loadFixture('edge-prices.html').querySelector(`[data-case="${name}"]`);
+}
+
+test('parseMoney reads thousands separators', () => {
+  assert.equal(parseMoney('1.234,56 €'), 1234.56);
+  assert.equal(parseMoney('1\u00a0234,56 €'), 1234.56);
+  assert.equal(parseMoney('1\u202f234,56 €'), 1234.56);
+  assert.equal(parseMoney('1 234,56 €'), 1234.56);
+  assert.equal(parseMoney('€ 12 345,60'), 12345.6);
+  assert.equal(parseMoney('1.234 €'), 1234);
+});
+
+test('parseMoney keeps a decimal dot', () => {
+  assert.equal(parseMoney('0.41 €'), 0.41);
+  assert.equal(parseMoney('0.415 €'), 0.415);
+  assert.equal(parseMoney('1.29 €'), 1.29);
+});
+
+test('parseMoney reads the currency before or after the amount', () => {
+  assert.equal(parseMoney('12,5\u00a0€'), 12.5);
+  assert.equal(parseMoney('€ 3,49'), 3.49);
+  assert.equal(parseMoney('EUR 5,00'), 5);
+  assert.equal(parseMoney('5 EUR'), 5);
+});
+
+test('parseMoney reads cents', () => {
+  assert.equal(parseMoney('99 lipa'), 0.99);
+  assert.equal(parseMoney('45 ct'), 0.45);
+});
+
+test('parseMoney rejects percentages, quantities and negative amounts', () => {
+  assert.equal(parseMoney('-30%'), null);
+  assert.equal(parseMoney('500 g'), null);
+  assert.equal(parseMoney('Ušteda -1,20 €'), null);
+  assert.equal(parseMoney('-30% 2,49 €'), 2.49);
+  assert.equal(parseMoney('--,-- €'), null);
+});
+
+test('parseUnitPrice reads comma and dot decimals', () => {
+  assert.deepEqual(parseUnitPrice('0,41 €/kom'), { value: 0.41, unit: 'kom' });
+  assert.deepEqual(parseUnitPrice('0.41 €/kom'), { value: 0.41, unit: 'kom' });
+});
+
+test('parseUnitPrice normalizes units to kg, l and kom', () => {
+  assert.deepEqual(parseUnitPrice('3,98 €/100 g'), { value: 39.8, unit: 'kg' });
+  assert.deepEqual(parseUnitPrice('0,25 €/dl'), { value: 2.5, unit: 'l' });
+  assert.deepEqual(parseUnitPrice('1,20 €/pak'), { value: 1.2, unit: 'kom' });
+});
+
+test('parseUnitPrice does not glue following text to the unit', () => {
+  assert.deepEqual(parseUnitPrice('2,50 €/kgDodaj u košaricu'), { value: 2.5, unit: 'kg' });
+});
+
+test('parseUnitPrice returns null without a number', () => {
+  assert.equal(parseUnitPrice(''), null);
+  assert.equal(parseUnitPrice('Cijena za j.m.'), null);
+});
+
+test('parseUnitPrice reads thousands separators', () => {
+  assert.deepEqual(parseUnitPrice('1.234,56 €/kg'), { value: 1234.56, unit: 'kg' });
+});
+
+test('parseUnitPrice prefers the amount followed by a unit', () => {
+  assert.deepEqual(parseUnitPrice('1,39 € Cijena za j.m.: 13,90 €/kg'), { value: 13.9, unit: 'kg' });
+});
+
+test('extractUnitPrice reads the "Cijena za j.m." line', () => {
+  assert.deepEqual(extractUnitPrice(edgeCard('per-100-g')), { value: 39.8, unit: 'kg' });
+  assert.deepEqual(extractUnitPrice(edgeCard('dot-decimal')), { value: 0.41, unit: 'kom' });
+});
+
+test('extractUnitPrice returns null for cards without a unit price', () => {
+  assert.equal(extractUnitPrice(edgeCard('computed')), null);
+});
+
+test('parseProductCard skips the struck-through old price', () => {
+  const product = parseProductCard(edgeCard('old-price'));
+  assert.equal(product.price, 8.79);
+  assert.equal(product.oldPrice, 10.99);
+  assert.equal(product.discount, 20);
+});
+
+test('parseProductCard computes a missing unit price from the package size', () => {
+  const product = parseProductCard(edgeCard('computed'));
+  assert.deepEqual(product.unitPrice, { value: 9, unit: 'kg', computed: true });
+  assert.deepEqual(product.size, { value: 0.25, unit: 'kg' });
+});
+
+test('parseProductCard reads shelf prices with thousands separators', () => {
+  const product = parseProductCard(edgeCard('thousands'));
+  assert.equal(product.price, 1234.56);
+  assert.deepEqual(product.unitPrice, { value: 1763.66, unit: 'l' });
+});
+
+test('parseProductCard reads edge price formats', () => {
+  const nbsp = parseProductCard(edgeCard('nbsp'));
+  assert.equal(nbsp.price, 12.5);
+  assert.deepEqual(nbsp.unitPrice, { value: 12.5, unit: 'kg' });
+
+  assert.equal(parseProductCard(edgeCard('currency-first')).price, 3.49);
+  assert.equal(parseProductCard(edgeCard('lipa')).price, 0.99);
+
+  const discounted = parseProductCard(edgeCard('discount-first'));
+  assert.equal(discounted.price, 1.39);
+  assert.equal(discounted.discount, 30);
+});
+
+test('parseProductCard ignores the price trend badge added to the card', () => {
+  const card = edgeCard('plain-price-class');
+  const badge = card.ownerDocument.createElement('div');
+  badge.className = 'konzum-price-trend';
+  badge.innerHTML = '<span>↑ najniža u 30 dana: 2,49 €</span><div class="konzum-price-trend-popover"><div>Najviša: 3,99 €</div></div>';
+  card.appendChild(badge);
+
+  const product = parseProductCard(card);
+  assert.equal(product.price, 3.99);
+  assert.equal(product.unitPrice.unit, 'kg');
+  assert.ok(Math.abs(product.unitPrice.value - 9.975) < 1e-9);
+});
+
+test('parseProductCard flags prices it could not parse', () => {
+  const product = parseProductCard(edgeCard('unparseable'));
+  assert.equal(product.price, null);
+  assert.equal(product.unitPrice, null);
+  assert.deepEqual(product.parseErrors, ['price', 'unitPrice']);
+
+  assert.deepEqual(parseProductCard(edgeCard('per-100-g')).parseErrors, []);
+});
+
+test('parseProductCard reads a search result card', () => {
+  const card = loadFixture('search.html').querySelector('[data-product-id="100002"]');
+  const product = parseProductCard(card);
+
+  assert.equal(product.id, '100002');
+  assert.equal(product.url, '/web/products/z-bregov-trajno-mlijeko-0-9-m-m-1-l');
+  assert.equal(product.name, 'Z bregov trajno mlijeko 0,9% m.m. 1 l');
+  assert.equal(product.brand, 'Z bregov');
+  assert.equal(product.price, 1.19);
+  assert.equal(product.discount, 20);
+  assert.deepEqual(product.unitPrice, { value: 1.19, unit: 'l' });
+  assert.deepEqual(product.badges, ['-20%']);
+  assert.equal(product.imageUrl, '/images/100002.jpg');
+  assert.equal(product.available, true);
+});
+
+test('getPacksForAmount counts the packs that reach the needed amount', () => {
+  const flour = product('Brašno 1 kg', { price: 0.89, size: { value: 1, unit: 'kg' } });
+  const need = normalizeQuantity(2500, 'g');
+  assert.deepEqual(need, { value: 2.5, unit: 'kg' });
+  assert.deepEqual(getPacksForAmount(flour, need), { packs: 3, total: 2.67, amount: 3, excess: 0.5 });
+
+  // Rounded sizes still add up to the amount
+  const third = product('Šećer 333 g', { price: 0.5, size: { value: 0.3333, unit: 'kg' } });
+  assert.equal(getPacksForAmount(third, { value: 1, unit: 'kg' }).packs, 3);
+
+  assert.equal(getPacksForAmount(flour, { value: 1, unit: 'l' }), null);
+  assert.equal(getPacksForAmount(product('Brašno'), need), null);
+  assert.equal(getPacksForAmount(flour, null), null);
+});
+
+test('parseProductPage reads the product, not the related products below it', () => {
+  const url = 'https://www.konzum.hr/web/products/barilla-spaghetti-n-5-500-g';
+  const page = parseProductPage(loadFixture('product.html', url), url);
+  assert.equal(page.id, '200001');
+  assert.equal(page.url, url);
+  assert.equal(page.name, 'Barilla Spaghetti n.5 500 g');
+  assert.equal(page.price, 1.49);
+  assert.equal(page.oldPrice, 1.79);
+  assert.deepEqual(page.unitPrice, { value: 2.98, unit: 'kg' });
+  assert.deepEqual(page.size, { value: 0.5, unit: 'kg' });
+  assert.equal(isOnSale(page), true);
+
+  assert.equal(parseProductPage(loadFixture('product.html', url).implementation.createHTMLDocument(''), url), null);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { snapshotListing } = require('../snapshot.js');
+
+/**
+ * Create a listing with two rows of cards and a pagination widget
+ * @returns {{document: Document, list: HTMLElement, rows: Array<HTMLElement>, pagination: HTMLElement}} Listing parts
+ */
+function setup() {
+  const { document } = new JSDOM(`<main>
+    <div class="product-list" style="gap: 8px">
+      <div class="row"><article id="a" class="product-item">A</article><article id="b" class="product-item">B</article></div>
+      <div class="row"><article id="c" class="product-item">C</article></div>
+    </div>
+    <nav class="pagination"><a href="?page=2">2</a></nav>
+  </main>`).window;
+  return {
+    document,
+    list: document.querySelector('.product-list'),
+    rows: Array.from(document.querySelectorAll('.row')),
+    pagination: document.querySelector('.pagination')
+  };
+}
+
+const isOwn = node => node.nodeType === 1 && node.hasAttribute('data-konzum-injected');
+
+test('restores order, attributes and the container layout', () => {
+  const { document, list, rows, pagination } = setup();
+  const before = document.body.innerHTML;
+  const snapshot = snapshotListing([list, ...rows], [pagination], { isOwn });
+
+  const [a, b] = rows[0].children;
+  rows[0].insertBefore(b, a);
+  [a, b].forEach((card, index) => {
+    card.style.setProperty('order', index, 'important');
+    card.setAttribute('data-sort-order', index);
+    card.classList.add('konzum-sorted');
+  });
+  list.style.display = 'flex';
+  pagination.style.display = 'none';
+
+  snapshot.restore();
+  assert.equal(document.body.innerHTML, before);
+});
+
+test('puts moved cards back and drops injected ones', () => {
+  const { document, list, rows, pagination } = setup();
+  const before = document.body.innerHTML;
+  const snapshot = snapshotListing([list, ...rows], [pagination], { isOwn });
+
+  // What the global sort does: one flat list of live and injected cards
+  const injected = document.createElement('article');
+  injected.setAttribute('data-konzum-injected', 'true');
+  const cards = Array.from(document.querySelectorAll('article'));
+  cards.forEach(card => card.remove());
+  list.append(injected, ...cards.reverse());
+
+  snapshot.restore();
+  assert.equal(document.body.innerHTML, before);
+  assert.equal(injected.isConnected, false);
+});
+
+test('keeps cards the site added and leaves out cards it removed', () => {
+  const { document, list, rows } = setup();
+  const snapshot = snapshotListing([list, ...rows], [], { isOwn });
+
+  document.getElementById('b').remove();
+  const added = document.createElement('article');
+  added.id = 'd';
+  rows[1].appendChild(added);
+
+  snapshot.restore();
+  assert.deepEqual(Array.from(document.querySelectorAll('article'), card => card.id), ['a', 'c', 'd']);
+});
+
+test('reports whether the listing is still on the page', () => {
+  const { list, rows } = setup();
+  const snapshot = snapshotListing([list, ...rows]);
+  assert.equal(snapshot.isConnected(), true);
+
+  list.remove();
+  assert.equal(snapshot.isConnected(), false);
+});
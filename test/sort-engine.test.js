@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { createSortEngine } = require('../sort-engine.js');
+
+const DEBOUNCE = 20;
+
+/**
+ * Wait until the engine's debounce has passed
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, DEBOUNCE * 3));
+}
+
+/**
+ * Set up a sorted listing and an engine watching it
+ * @returns {{document: Document, container: HTMLElement, engine: Object, resorts: {count: number}}} Test setup
+ */
+function setup() {
+  const { window } = new JSDOM(`<div class="product-list">
+    <article class="product-item" data-sort-order="1" style="order: 1"><span>A</span></article>
+    <article class="product-item" data-sort-order="0" style="order: 0"><span>B</span></article>
+  </div>`);
+  globalThis.MutationObserver = window.MutationObserver;
+
+  const document = window.document;
+  const container = document.querySelector('.product-list');
+  const resorts = { count: 0 };
+  const engine = createSortEngine({
+    getCards: () => Array.from(container.querySelectorAll('article.product-item')),
+    resort: () => {
+      resorts.count++;
+      engine.watch(container);
+    },
+    debounce: DEBOUNCE
+  });
+  engine.watch(container);
+  return { document, container, engine, resorts };
+}
+
+/**
+ * Create a product card
+ * @param {Document} document - Document to create it in
+ * @returns {HTMLElement} Card
+ */
+function createCard(document) {
+  const card = document.createElement('article');
+  card.className = 'product-item';
+  return card;
+}
+
+test('re-sorts once after cards are added', async () => {
+  const { document, container, engine, resorts } = setup();
+  container.appendChild(createCard(document));
+  container.appendChild(createCard(document));
+  await settle();
+
+  assert.equal(resorts.count, 1);
+  engine.stop();
+});
+
+test('does not re-sort when the same cards are re-inserted', async () => {
+  const { container, engine, resorts } = setup();
+  const first = container.querySelector('article');
+  first.remove();
+  container.appendChild(first);
+  await settle();
+
+  assert.equal(resorts.count, 0);
+  engine.stop();
+});
+
+test('ignores changes inside cards', async () => {
+  const { document, container, engine, resorts } = setup();
+  container.querySelector('article').appendChild(document.createElement('span'));
+  await settle();
+
+  assert.equal(resorts.count, 0);
+  engine.stop();
+});
+
+test('does not react to its own writes', async () => {
+  const { document, container, engine, resorts } = setup();
+  engine.write(() => container.appendChild(createCard(document)));
+  await settle();
+
+  assert.equal(resorts.count, 0);
+  assert.equal(engine.isActive(), true);
+  engine.stop();
+});
+
+test('re-sorts cards the site added just before its own write', async () => {
+  const { document, container, engine, resorts } = setup();
+  container.appendChild(createCard(document));
+  engine.write(() => container.querySelector('article').style.setProperty('order', '5'));
+  await settle();
+  assert.equal(resorts.count, 1);
+
+  container.appendChild(createCard(document));
+  engine.write(() => container.lastElementChild.previousElementSibling.remove(), { cardsChanged: true });
+  await settle();
+  assert.equal(resorts.count, 2);
+  engine.stop();
+});
+
+test('restores a lost order without re-sorting', async () => {
+  const { container, engine, resorts } = setup();
+  const card = container.querySelector('[data-sort-order="1"]');
+  card.style.removeProperty('order');
+  await settle();
+
+  assert.equal(card.style.order, '1');
+  assert.equal(resorts.count, 0);
+  engine.stop();
+});
+
+test('cancels a pending re-sort when stopped', async () => {
+  const { document, container, engine, resorts } = setup();
+  container.appendChild(createCard(document));
+  await Promise.resolve();
+  engine.stop();
+  await settle();
+
+  assert.equal(resorts.count, 0);
+  assert.equal(engine.isActive(), false);
+});
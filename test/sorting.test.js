@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseProductCard } = require('../product.js');
+const { getProductCards } = require('../listing.js');
+const {
+  compareByUnitPrice,
+  compareProducts,
+  buildSortSpec,
+  describeSortSpec,
+  summarizeUnitGroups,
+  rankByUnitPrice,
+  summarizeUnitPrices
+} = require('../sorting.js');
+const { loadFixture, product } = require('./helpers');
+
+/**
+ * Parse every product card of a fixture page
+ * @param {string} name - Fixture file name
+ * @returns {Array<Object>} Product records in page order
+ */
+function loadProducts(name) {
+  return getProductCards(loadFixture(name)).map(card => parseProductCard(card));
+}
+
+test('compareByUnitPrice groups by unit before comparing prices', () => {
+  const sorted = loadProducts('search.html').sort((a, b) => compareByUnitPrice(a, b, true));
+  assert.deepEqual(sorted.map(p => p.name), [
+    'Dukat mliječni namaz 150 g',
+    'Z bregov trajno mlijeko 0,9% m.m. 1 l',
+    'Dukat svježe mlijeko 2,8% m.m. 1 l',
+    'Kinder mliječna kriška 5 kom',
+    'Vindija mlijeko za kavu'
+  ]);
+});
+
+test('compareByUnitPrice sorts descending within each unit group', () => {
+  const sorted = loadProducts('category.html').sort((a, b) => compareByUnitPrice(a, b, false));
+  assert.deepEqual(sorted.map(p => p.unitPrice.value), [13.96, 3.58, 2.29, 1.58]);
+});
+
+test('compareByUnitPrice puts products without unit price where the options say', () => {
+  const priced = product('A', { unitPrice: { value: 1, unit: 'kg' } });
+  const unpriced = product('B');
+  assert.ok(compareByUnitPrice(unpriced, priced, true) > 0);
+  assert.ok(compareByUnitPrice(unpriced, priced, true, 'start') < 0);
+});
+
+test('buildSortSpec adds the secondary key and the name tie-breaker', () => {
+  assert.deepEqual(buildSortSpec(true, 'unitPrice', { key: 'price', dir: 'desc' }), [
+    { key: 'unitPrice', dir: 'asc' },
+    { key: 'price', dir: 'desc' },
+    { key: 'name', dir: 'asc' }
+  ]);
+  assert.deepEqual(buildSortSpec(false, 'name', { key: 'name', dir: 'desc' }), [{ key: 'name', dir: 'desc' }]);
+  assert.deepEqual(buildSortSpec(true, 'price', { key: '', dir: 'asc' }), [
+    { key: 'price', dir: 'asc' },
+    { key: 'name', dir: 'asc' }
+  ]);
+});
+
+test('compareProducts breaks unit price ties with later keys', () => {
+  const products = [
+    product('Zara', { price: 2, unitPrice: { value: 4, unit: 'kg' } }),
+    product('Barilla', { price: 2, unitPrice: { value: 4, unit: 'kg' } }),
+    product('Ana', { price: 1, unitPrice: { value: 4, unit: 'kg' } })
+  ];
+  const spec = buildSortSpec(true, 'unitPrice', { key: 'price', dir: 'desc' });
+  products.sort((a, b) => compareProducts(a, b, spec));
+  assert.deepEqual(products.map(p => p.name), ['Barilla', 'Zara', 'Ana']);
+});
+
+test('compareProducts collates names in Croatian order', () => {
+  const products = ['Čokolino', 'Zvijezda', 'Cedevita', 'Šećer', 'Sol'].map(name => product(name));
+  products.sort((a, b) => compareProducts(a, b, [{ key: 'name', dir: 'asc' }]));
+  assert.deepEqual(products.map(p => p.name), ['Cedevita', 'Čokolino', 'Sol', 'Šećer', 'Zvijezda']);
+});
+
+test('compareProducts puts missing values last for other keys', () => {
+  const products = [product('A'), product('B', { discount: 10 }), product('C', { discount: 30 })];
+  products.sort((a, b) => compareProducts(a, b, [{ key: 'discount', dir: 'desc' }]));
+  assert.deepEqual(products.map(p => p.name), ['C', 'B', 'A']);
+});
+
+test('describeSortSpec mentions the secondary key but not the name tie-breaker', () => {
+  assert.equal(
+    describeSortSpec(buildSortSpec(true, 'unitPrice', { key: 'price', dir: 'desc' })),
+    'po cijeni za j.m.: najniža → najviša, zatim po cijeni ↓'
+  );
+  assert.equal(describeSortSpec(buildSortSpec(false, 'price', null)), 'po cijeni: najviša → najniža');
+});
+
+test('summarizeUnitGroups counts products per unit', () => {
+  assert.equal(summarizeUnitGroups(loadProducts('search.html')), '2 €/l, 1 €/kg, 1 €/kom');
+});
+
+test('rankByUnitPrice ranks within each unit group', () => {
+  const products = loadProducts('category.html');
+  const ranks = rankByUnitPrice(products, 2);
+  assert.deepEqual(products.map(p => ranks.get(p)), [
+    { rank: 3, total: 4, best: false, percentAbove: 127 },
+    { rank: 1, total: 4, best: true, percentAbove: 0 },
+    { rank: 2, total: 4, best: true, percentAbove: 45 },
+    { rank: 4, total: 4, best: false, percentAbove: 784 }
+  ]);
+});
+
+test('rankByUnitPrice shares ranks on equal prices and skips single products', () => {
+  const a = product('A', { unitPrice: { value: 2, unit: 'l' } });
+  const b = product('B', { unitPrice: { value: 2, unit: 'l' } });
+  const c = product('C', { unitPrice: { value: 3, unit: 'l' } });
+  const d = product('D', { unitPrice: { value: 1, unit: 'kom' } });
+  const e = product('E');
+  const ranks = rankByUnitPrice([a, b, c, d, e], 1);
+
+  assert.equal(ranks.get(a).rank, 1);
+  assert.equal(ranks.get(b).rank, 1);
+  assert.equal(ranks.get(b).best, true);
+  assert.equal(ranks.get(c).rank, 3);
+  assert.equal(ranks.get(c).best, false);
+  assert.equal(ranks.get(d).best, false);
+  assert.equal(ranks.has(e), false);
+});
+
+test('summarizeUnitPrices gives stats per unit and the best value of the largest group', () => {
+  const kg = [4, 1, 3, 2].map((value, index) => product(`Riža ${index}`, { unitPrice: { value: value, unit: 'kg' } }));
+  const l = [5, 6].map((value, index) => product(`Sok ${index}`, { unitPrice: { value: value, unit: 'l' } }));
+  const summary = summarizeUnitPrices([...l, ...kg, product('Vrećica')], 3);
+
+  assert.equal(summary.count, 7);
+  assert.equal(summary.withUnitPrice, 6);
+  assert.deepEqual(summary.units, [
+    { unit: 'kg', count: 4, min: 1, median: 2.5, max: 4 },
+    { unit: 'l', count: 2, min: 5, median: 5.5, max: 6 }
+  ]);
+  assert.deepEqual(summary.best.map(p => p.name), ['Riža 1', 'Riža 3', 'Riža 2']);
+});
+
+test('summarizeUnitPrices handles a list without unit prices', () => {
+  assert.deepEqual(summarizeUnitPrices([product('A')]), { count: 1, withUnitPrice: 0, units: [], best: [] });
+});
+
+test('compareProducts ranks by the cost of the needed amount', () => {
+  const small = product('Brašno 1 kg', { price: 0.89, size: { value: 1, unit: 'kg' }, unitPrice: { value: 0.89, unit: 'kg' } });
+  const large = product('Brašno 5 kg', { price: 3.99, size: { value: 5, unit: 'kg' }, unitPrice: { value: 0.8, unit: 'kg' } });
+  const unsized = product('Brašno', { price: 0.5 });
+  const spec = buildSortSpec(true, 'needCost');
+
+  const sorted = [unsized, large, small].sort((a, b) => compareProducts(a, b, spec, { need: { value: 3, unit: 'kg' } }));
+  assert.deepEqual(sorted.map(p => p.name), ['Brašno 1 kg', 'Brašno 5 kg', 'Brašno']);
+  assert.equal(describeSortSpec(spec), 'po cijeni za potrebnu količinu: najniža → najviša');
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CHECK_INTERVAL,
+  createWatchEntry,
+  evaluateWatch,
+  getDueWatches
+} = require('../watchlist.js');
+const { product } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+const spaghetti = product('Barilla Spaghetti n.5 500 g', {
+  id: '200001',
+  url: '/web/products/barilla-spaghetti-n-5-500-g',
+  price: 1.79,
+  unitPrice: { value: 3.58, unit: 'kg' }
+});
+
+test('createWatchEntry starts at the current price with an absolute product URL', () => {
+  const entry = createWatchEntry(spaghetti, 'https://www.konzum.hr/web/t/kategorije/tjestenina', 1000);
+  assert.deepEqual(entry, {
+    key: '200001',
+    name: 'Barilla Spaghetti n.5 500 g',
+    url: 'https://www.konzum.hr/web/products/barilla-spaghetti-n-5-500-g',
+    target: { type: 'price', value: 1.79, unit: null },
+    last: { price: 1.79, unitPrice: 3.58, unit: 'kg', onSale: false },
+    addedAt: 1000,
+    checkedAt: 1000
+  });
+  assert.equal(createWatchEntry(product('Bez poveznice'), 'https://www.konzum.hr/web/search'), null);
+});
+
+test('evaluateWatch alerts once when the price drops below the target', () => {
+  const entry = createWatchEntry(spaghetti, 'https://www.konzum.hr/web/search', 0);
+
+  const same = evaluateWatch(entry, spaghetti, HOUR);
+  assert.deepEqual(same.alerts, []);
+  assert.equal(same.entry.checkedAt, HOUR);
+
+  const cheaper = { ...spaghetti, price: 1.59, unitPrice: { value: 3.18, unit: 'kg' } };
+  const dropped = evaluateWatch(same.entry, cheaper, 2 * HOUR);
+  assert.deepEqual(dropped.alerts, [{ type: 'target', message: 'Cijena je pala na 1,59 € (cilj: ispod 1,79 €)' }]);
+  assert.equal(dropped.entry.last.price, 1.59);
+
+  // Still below the target on the next check: nothing new to say
+  assert.deepEqual(evaluateWatch(dropped.entry, cheaper, 3 * HOUR).alerts, []);
+});
+
+test('evaluateWatch compares unit price targets in the same unit only', () => {
+  const entry = {
+    ...createWatchEntry(spaghetti, 'https://www.konzum.hr/web/search', 0),
+    target: { type: 'unitPrice', value: 3.5, unit: 'kg' }
+  };
+  const bigger = { ...spaghetti, unitPrice: { value: 3.2, unit: 'kg' } };
+  assert.deepEqual(evaluateWatch(entry, bigger).alerts, [
+    { type: 'target', message: 'Cijena je pala na 3,20 €/kg (cilj: ispod 3,50 €/kg)' }
+  ]);
+  assert.deepEqual(evaluateWatch(entry, { ...spaghetti, unitPrice: { value: 1, unit: 'kom' } }).alerts, []);
+});
+
+test('evaluateWatch alerts when a promotion starts', () => {
+  const entry = createWatchEntry(spaghetti, 'https://www.konzum.hr/web/search', 0);
+  const onSale = { ...spaghetti, badges: ['Akcija'] };
+
+  const { entry: checked, alerts } = evaluateWatch(entry, onSale);
+  assert.deepEqual(alerts, [{ type: 'promotion', message: 'Proizvod je na akciji: 1,79 €' }]);
+  assert.deepEqual(evaluateWatch(checked, onSale).alerts, []);
+});
+
+test('evaluateWatch keeps the last prices when the page could not be read', () => {
+  const entry = createWatchEntry(spaghetti, 'https://www.konzum.hr/web/search', 0);
+  const { entry: checked, alerts } = evaluateWatch(entry, null, HOUR);
+  assert.deepEqual(alerts, []);
+  assert.deepEqual(checked, { ...entry, checkedAt: HOUR });
+});
+
+test('getDueWatches picks the longest unchecked products, a few at a time', () => {
+  const now = 10 * CHECK_INTERVAL;
+  const watchlist = {
+    a: { key: 'a', checkedAt: now - CHECK_INTERVAL },
+    b: { key: 'b', checkedAt: now - HOUR },
+    c: { key: 'c', checkedAt: now - 3 * CHECK_INTERVAL },
+    d: { key: 'd', checkedAt: now - 2 * CHECK_INTERVAL }
+  };
+  assert.deepEqual(getDueWatches(watchlist, now).map(entry => entry.key), ['c', 'd', 'a']);
+  assert.deepEqual(getDueWatches(watchlist, now, 2).map(entry => entry.key), ['c', 'd']);
+});
@@ -0,0 +1,191 @@
+/**
+ * Konzum Unit Price Sorter - Watchlist
+ * Decides when a watched product is due for a check and what to notify about
+ *
+ * @author Konzum Unit Price Sorter Contributors
+ * @license MIT
+ */
+(function() {
+  'use strict';
+
+  const { formatUnit, isOnSale } = globalThis.KonzumSorterProduct || require('./product.js');
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // A watched product's page is fetched at most this often
+  const CHECK_INTERVAL = 6 * HOUR_MS;
+
+  // Product pages fetched per background run; the rest wait for the next run
+  const MAX_CHECKS_PER_RUN = 5;
+
+  // Pause between two product page requests in the same run, in ms
+  const REQUEST_GAP = 3000;
+
+  /**
+   * @typedef {Object} WatchTarget
+   * @property {string} type - 'price' for the shelf price, 'unitPrice' for the unit price
+   * @property {number} value - Notify when the price drops below this, in €
+   * @property {string|null} unit - Unit of a unit price target, e.g. 'kg'
+   */
+
+  /**
+   * @typedef {Object} WatchEntry
+   * @property {string} key - Product key, see getWatchKey
+   * @property {string} name - Product name
+   * @property {string} url - Absolute URL of the product page
+   * @property {WatchTarget} target - Price to watch for
+   * @property {{price: (number|null), unitPrice: (number|null), unit: (string|null), onSale: boolean}} last - Prices when last seen
+   * @property {number} addedAt - When the product was first watched, ms since epoch
+   * @property {number} checkedAt - When the product page was last checked, ms since epoch
+   */
+
+  /**
+   * Get the key a watched product is stored under
+   * @param {{id: (string|null), url: (string|null)}} product - Product record
+   * @returns {string|null} Key, or null if the product can't be identified
+   */
+  function getWatchKey(product) {
+    return product.id || product.url || null;
+  }
+
+  /**
+   * Format a price with its unit, e.g. "1,29 €" or "2,50 €/kg"
+   * @param {number} value - Price
+   * @param {string|null} [unit=null] - Unit of a unit price, null for a shelf price
+   * @returns {string} Formatted price
+   */
+  function formatPrice(value, unit = null) {
+    return `${value.toFixed(2).replace('.', ',')} ${formatUnit(unit)}`;
+  }
+
+  /**
+   * Describe a target for the UI and notifications, e.g. "1,29 €" or "2,50 €/kg"
+   * @param {WatchTarget} target - Target price
+   * @returns {string} Formatted target
+   */
+  function formatTarget(target) {
+    return formatPrice(target.value, target.type === 'unitPrice' ? target.unit : null);
+  }
+
+  /**
+   * Take the prices of a product that a watch keeps track of
+   * @param {Object} product - Product record
+   * @returns {{price: (number|null), unitPrice: (number|null), unit: (string|null), onSale: boolean}} Prices
+   */
+  function snapshotPrices(product) {
+    return {
+      price: product.price,
+      unitPrice: product.unitPrice ? product.unitPrice.value : null,
+      unit: product.unitPrice ? product.unitPrice.unit : null,
+      onSale: isOnSale(product)
+    };
+  }
+
+  /**
+   * Create a watch entry for a product
+   * The target starts at the current shelf price, so any drop is notified
+   * until the user sets a target of their own.
+   * @param {Object} product - Product record from a card
+   * @param {string} pageUrl - URL of the page the card is on, to resolve relative product URLs
+   * @param {number} [now=Date.now()] - Current time, ms since epoch
+   * @returns {WatchEntry|null} Entry, or null if the product can't be identified or has no link
+   */
+  function createWatchEntry(product, pageUrl, now = Date.now()) {
+    const key = getWatchKey(product);
+    if (!key || !product.url) return null;
+
+    const target = product.price != null ?
+      { type: 'price', value: product.price, unit: null } :
+      { type: 'unitPrice', value: product.unitPrice ? product.unitPrice.value : 0, unit: product.unitPrice ? product.unitPrice.unit : null };
+
+    return {
+      key: key,
+      name: product.name || '',
+      url: new URL(product.url, pageUrl).href,
+      target: target,
+      last: snapshotPrices(product),
+      addedAt: now,
+      checkedAt: now
+    };
+  }
+
+  /**
+   * Read the value a target is compared with from a set of prices
+   * @param {WatchTarget} target - Target price
+   * @param {{price: (number|null), unitPrice: (number|null), unit: (string|null)}} prices - Prices of the product
+   * @returns {number|null} Shelf or unit price, null if unknown or in another unit
+   */
+  function getTargetValue(target, prices) {
+    if (target.type === 'unitPrice') {
+      return prices.unitPrice != null && prices.unit === target.unit ? prices.unitPrice : null;
+    }
+    return prices.price != null ? prices.price : null;
+  }
+
+  /**
+   * @typedef {Object} WatchAlert
+   * @property {string} type - 'target' when the price dropped below the target, 'promotion' when a sale started
+   * @property {string} message - Croatian notification text
+   */
+
+  /**
+   * Compare a freshly fetched product with its watch entry
+   * Each alert fires once, when the price crosses below the target or the sale
+   * starts, not again on every check while it lasts.
+   * @param {WatchEntry} entry - Watch entry
+   * @param {Object|null} product - Product record from the product page, null if the page couldn't be read
+   * @param {number} [now=Date.now()] - Current time, ms since epoch
+   * @returns {{entry: WatchEntry, alerts: Array<WatchAlert>}} Updated entry and alerts to notify
+   */
+  function evaluateWatch(entry, product, now = Date.now()) {
+    if (!product) return { entry: { ...entry, checkedAt: now }, alerts: [] };
+
+    const prices = snapshotPrices(product);
+    const alerts = [];
+
+    const current = getTargetValue(entry.target, prices);
+    const previous = getTargetValue(entry.target, entry.last);
+    if (current !== null && current < entry.target.value && !(previous !== null && previous < entry.target.value)) {
+      const shown = formatTarget({ ...entry.target, value: current });
+      alerts.push({ type: 'target', message: `Cijena je pala na ${shown} (cilj: ispod ${formatTarget(entry.target)})` });
+    }
+
+    if (prices.onSale && !entry.last.onSale) {
+      const price = prices.price != null ? `: ${formatPrice(prices.price)}` : '';
+      alerts.push({ type: 'promotion', message: `Proizvod je na akciji${price}` });
+    }
+
+    return {
+      entry: { ...entry, name: product.name || entry.name, last: prices, checkedAt: now },
+      alerts: alerts
+    };
+  }
+
+  /**
+   * Pick the watched products whose pages are due for a check, longest unchecked first
+   * @param {Object<string, WatchEntry>} watchlist - Watch entries by product key
+   * @param {number} [now=Date.now()] - Current time, ms since epoch
+   * @param {number} [limit=MAX_CHECKS_PER_RUN] - Most entries to return
+   * @returns {Array<WatchEntry>} Entries to check
+   */
+  function getDueWatches(watchlist, now = Date.now(), limit = MAX_CHECKS_PER_RUN) {
+    return Object.values(watchlist)
+      .filter(entry => now - (entry.checkedAt || 0) >= CHECK_INTERVAL)
+      .sort((a, b) => (a.checkedAt || 0) - (b.checkedAt || 0))
+      .slice(0, limit);
+  }
+
+  const api = {
+    CHECK_INTERVAL: CHECK_INTERVAL,
+    MAX_CHECKS_PER_RUN: MAX_CHECKS_PER_RUN,
+    REQUEST_GAP: REQUEST_GAP,
+    getWatchKey: getWatchKey,
+    formatTarget: formatTarget,
+    createWatchEntry: createWatchEntry,
+    evaluateWatch: evaluateWatch,
+    getDueWatches: getDueWatches
+  };
+
+  globalThis.KonzumSorterWatchlist = api;
+  if (typeof module === 'object' && module.exports) module.exports = api;
+})();